@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════
+// ca-sim — batch runner for the frustrated CML
+// Same evolution as the UI (src/engine), output as JSON or CSV.
+// ═══════════════════════════════════════════════════════════════════
+import { parseArgs } from "node:util";
+import { readFileSync, writeFileSync } from "node:fs";
+import {
+  runSimulation, summarize, INIT_KINDS, INIT_DEFAULTS, parseProfile, BOUNDARIES, modeGrid, KERNEL_MAX_RANGE,
+} from "../src/engine/index.js";
+
+const USAGE = `Usage: ca-sim [options]
+
+  -A <num>            hopping amplitude            (default 1)
+  -B <num>            on-site amplitude            (default -1/√2)
+  -e, --eps <num>     coupling ε                   (default 0.12)
+  -L <int>            lattice sites                (default 120)
+  -T <int>            time steps                   (default 250)
+  -b, --bc <bc>       boundary: ${BOUNDARIES.join(", ")} (default periodic)
+  -s, --seed <int>    RNG seed                     (default 42)
+  -i, --init <kind>   initial condition: ${INIT_KINDS.join(", ")}
+      --init-k <k/π>  plane/packet wavevector      (default ${INIT_DEFAULTS.kPi})
+      --init-sigma <n> packet width in sites       (default ${INIT_DEFAULTS.sigma})
+      --init-noise <x> afm noise amplitude         (default ${INIT_DEFAULTS.noise})
+      --init-center <i> delta/packet site          (default L/2)
+      --init-profile <file> custom profile, numbers separated by commas/whitespace
+      --spec-every <n> spectrum snapshot interval  (default 10)
+      --cubic <g>     saturation φ − gφ³            (default 0)
+      --noise <σ>     additive Gaussian noise       (default 0)
+      --disorder <δ>  quenched A, B disorder        (default 0)
+      --hop <w1,w2,…> Step 2 weights by range r     (default 1)
+      --couple <v1,…> Step 3 weights by range r     (default 1)
+  -m, --method <m>    real | spectral (exact Fourier jump, O(L log L) per saved row)
+      --history-every <n> keep every n-th row of ψ (default 1)
+      --site-stride <n>   keep every n-th site in stored rows (default 1)
+  -f, --format <fmt>  json | csv                   (default json)
+  -o, --out <path>    output file (json) or file prefix (csv)
+      --summary-only  omit history and spectra
+  -h, --help
+
+Negative values need the attached form: -B-0.5 or --B=-0.5.
+CSV spectra columns k_n are the allowed modes in [0, π]: k = 2πn/L on the
+periodic ring; other boundaries list k0 and Δk in the summary (k = k0 + nΔk).
+`;
+
+const fail = msg => { process.stderr.write(`ca-sim: ${msg}\n\n${USAGE}`); process.exit(1); };
+
+const num = (name, v, {int=false, min=-Infinity}={}) => {
+  const x = Number(v);
+  if (!Number.isFinite(x) || (int && !Number.isInteger(x)) || x < min) fail(`invalid ${name}: ${v}`);
+  return x;
+};
+
+const weights = (name, v) => {
+  const w = v.split(",").map(x => num(name, x.trim()));
+  if (w.length > KERNEL_MAX_RANGE) fail(`${name}: at most ${KERNEL_MAX_RANGE} weights`);
+  return w;
+};
+
+let args;
+try {
+  args = parseArgs({
+    options: {
+      A:              {type:"string", short:"A", default:"1"},
+      B:              {type:"string", short:"B", default:String(-Math.SQRT1_2)},
+      eps:            {type:"string", short:"e", default:"0.12"},
+      L:              {type:"string", short:"L", default:"120"},
+      T:              {type:"string", short:"T", default:"250"},
+      bc:             {type:"string", short:"b", default:"periodic"},
+      seed:           {type:"string", short:"s", default:"42"},
+      init:           {type:"string", short:"i", default:"random"},
+      "init-k":       {type:"string", default:String(INIT_DEFAULTS.kPi)},
+      "init-sigma":   {type:"string", default:String(INIT_DEFAULTS.sigma)},
+      "init-noise":   {type:"string", default:String(INIT_DEFAULTS.noise)},
+      "init-center":  {type:"string"},
+      "init-profile": {type:"string"},
+      "spec-every":   {type:"string", default:"10"},
+      cubic:          {type:"string", default:"0"},
+      noise:          {type:"string", default:"0"},
+      disorder:       {type:"string", default:"0"},
+      hop:            {type:"string", default:"1"},
+      couple:         {type:"string", default:"1"},
+      method:         {type:"string", short:"m", default:"real"},
+      "history-every":{type:"string", default:"1"},
+      "site-stride":  {type:"string", default:"1"},
+      format:         {type:"string", short:"f", default:"json"},
+      out:            {type:"string", short:"o"},
+      "summary-only": {type:"boolean", default:false},
+      help:           {type:"boolean", short:"h", default:false},
+    },
+  }).values;
+} catch (e) {
+  fail(e.message);
+}
+if (args.help) { process.stdout.write(USAGE); process.exit(0); }
+
+const params = {
+  A:    num("A", args.A),
+  B:    num("B", args.B),
+  eps:  num("eps", args.eps, {min:0}),
+  L:    num("L", args.L, {int:true, min:3}),
+  T:    num("T", args.T, {int:true, min:1}),
+  bc:   args.bc,
+  seed: num("seed", args.seed, {int:true}),
+  init: {
+    kind:   args.init,
+    kPi:    num("init-k", args["init-k"]),
+    sigma:  num("init-sigma", args["init-sigma"], {min:0.5}),
+    noise:  num("init-noise", args["init-noise"], {min:0}),
+    center: args["init-center"] !== undefined ? num("init-center", args["init-center"], {int:true}) : null,
+    profile: [],
+  },
+  specEvery: num("spec-every", args["spec-every"], {int:true, min:1}),
+  method: args.method,
+  historyEvery: num("history-every", args["history-every"], {int:true, min:1}),
+  siteStride: num("site-stride", args["site-stride"], {int:true, min:1}),
+  ext: {
+    cubic:    num("cubic", args.cubic, {min:0}),
+    noise:    num("noise", args.noise, {min:0}),
+    disorder: num("disorder", args.disorder, {min:0}),
+  },
+  kernel: {hop:weights("hop", args.hop), couple:weights("couple", args.couple)},
+};
+if (!INIT_KINDS.includes(params.init.kind)) fail(`unknown init "${params.init.kind}"`);
+if (params.init.kind === "custom") {
+  if (!args["init-profile"]) fail("--init custom needs --init-profile <file>");
+  try { params.init.profile = parseProfile(readFileSync(args["init-profile"], "utf8")); }
+  catch (e) { fail(e.message); }
+}
+if (!BOUNDARIES.includes(params.bc)) fail(`unknown boundary "${params.bc}"`);
+if (!["real", "spectral"].includes(params.method)) fail(`unknown method "${params.method}"`);
+if (!["json", "csv"].includes(args.format)) fail(`unknown format "${args.format}"`);
+
+let result;
+try { result = runSimulation(params); }
+catch (e) { fail(e.message); }
+const grid = modeGrid(params.L, params.bc);
+const summary = {...summarize(params, result), k0:grid.k0, dk:grid.dk};
+
+// ── Writers ─────────────────────────────────────────────────────────
+const csv = rows => rows.map(r => r.join(",")).join("\n") + "\n";
+
+const historyCsv = ({history}) => csv([
+  ["t", ...history[0].map((_,i) => `psi_${i*params.siteStride}`)],
+  ...history.map((row,j) => [j*params.historyEvery, ...row]),
+]);
+
+const spectraCsv = ({specHistory}) => csv([
+  ["t", ...specHistory[0].P.map((_,k) => `k_${k}`)],
+  ...specHistory.map(({t, P}) => [t, ...P]),
+]);
+
+const summaryCsv = s => csv([Object.keys(s), Object.values(s).map(v => v ?? "")]);
+
+if (args.format === "json") {
+  const body = JSON.stringify(args["summary-only"] ? {summary} : {summary, ...result});
+  if (args.out) writeFileSync(args.out, body + "\n");
+  else process.stdout.write(body + "\n");
+} else if (!args.out) {
+  if (!args["summary-only"]) fail("csv output of history and spectra needs --out <prefix>");
+  process.stdout.write(summaryCsv(summary));
+} else {
+  writeFileSync(`${args.out}.summary.csv`, summaryCsv(summary));
+  if (!args["summary-only"]) {
+    writeFileSync(`${args.out}.history.csv`, historyCsv(result));
+    writeFileSync(`${args.out}.spectra.csv`, spectraCsv(result));
+  }
+}
@@ -1,8 +1,38 @@
-import { useState, useMemo, useEffect, useRef, useCallback } from "react";
+import { useState, useMemo, useCallback } from "react";
 import {
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip,
-  ResponsiveContainer, ReferenceLine, Legend, ComposedChart,
+  ResponsiveContainer, ReferenceLine, Legend, ComposedChart, Scatter,
 } from "recharts";
+import {
+  isNearest, computeEcKernel, gRateKernel, gCurvKernel, cosKstarKernel, kStarOfKernel, classifyPhaseKernel,
+  closedFormCheck, solveCritical, solveMode, isLinear, piSeries,
+  kTrack, compareK, predictedK, modeGrid,
+} from "./engine/index.js";
+import { C, tt } from "./theme.js";
+import { divColor } from "./colormaps.js";
+import { Card, SecLabel, Stat, Badge, Slider, NumberField } from "./components/ui.jsx";
+import { Heatmap } from "./components/Heatmap.jsx";
+import { PhaseDiagram, KStarColorBar } from "./components/PhaseDiagram.jsx";
+import { SimPhaseMap } from "./components/SimPhaseMap.jsx";
+import { PresetBar } from "./components/PresetBar.jsx";
+import { InitControls } from "./components/InitControls.jsx";
+import { BoundaryControls } from "./components/BoundaryControls.jsx";
+import { ExtensionControls } from "./components/ExtensionControls.jsx";
+import { LiveControls } from "./components/LiveControls.jsx";
+import { useLiveStream } from "./hooks/useLiveStream.js";
+import { useWorkerTask } from "./hooks/useWorkerTask.js";
+import { useRefinedTask } from "./hooks/useRefinedTask.js";
+import { ExportContext } from "./export.js";
+import { readUrlState, normalizeState, PARAM_RANGE as RANGE } from "./urlState.js";
+import { BENCHMARK_PRESETS } from "./presets.js";
+import { useUrlSync } from "./hooks/useUrlSync.js";
+import { SweepPanel } from "./components/SweepPanel.jsx";
+import { ScalingPanel } from "./components/ScalingPanel.jsx";
+import { Lattice2DTab } from "./components/Lattice2DTab.jsx";
+import { QuantumWalkTab } from "./components/QuantumWalkTab.jsx";
+import { KernelTab } from "./components/KernelTab.jsx";
+import { LyapunovPanel } from "./components/LyapunovPanel.jsx";
+import { SpectrogramPanel } from "./components/SpectrogramPanel.jsx";
 
 // ═══════════════════════════════════════════════════════════════════
 // FRUSTRATED CML — COMPLETE SIMULATION + THEORY GRAPHS
@@ -10,329 +40,110 @@ import {
 // A ≡ u21·√2, B ≡ u22,  εc = A/[2(2A-B)]
 // ═══════════════════════════════════════════════════════════════════
 
-// ── Palette ─────────────────────────────────────────────────────────
-const C = {
-  bg:"#05080f", panel:"#090e1a", card:"#0c1220", border:"#14213a",
-  border2:"#1e3050", amber:"#f59e0b", amberL:"#fcd34d", amberD:"#78450a",
-  cyan:"#22d3ee", cyanD:"#0e7490", rose:"#fb7185", roseD:"#9f1239",
-  green:"#4ade80", greenD:"#166534", violet:"#a78bfa", violetD:"#4c1d95",
-  blue:"#60a5fa", blueD:"#1e3a5f",
-  muted:"#3d566e", text:"#b8cce0", dim:"#4a6070", dimL:"#7a90a0",
-  white:"#e8f4ff", grid:"#0f1a2b",
-};
-const tt = {
-  background:"#080d18", border:`1px solid ${C.border2}`,
-  borderRadius:6, fontFamily:"'Courier New', monospace", fontSize:10, color:C.text,
-};
-
-// ── Math ─────────────────────────────────────────────────────────────
-const sgn = v => v > 0 ? 1 : v < 0 ? -1 : 0;
-
-const computeEc = (A, B) => {
-  if (B === 0 || sgn(A) === sgn(B)) return null;
-  const d = 2*(2*A - B);
-  if (Math.abs(d) < 1e-12) return null;
-  const ec = A / d;
-  return ec > 0 ? ec : null;
-};
-
-// g(k,ε) = log|A cosk + B| + log|1 + 2ε cosk|
-const gRate = (k, A, B, eps) => {
-  const lc = A*Math.cos(k) + B;
-  const le = 1 + 2*eps*Math.cos(k);
-  if (Math.abs(lc) < 1e-14 || Math.abs(le) < 1e-14) return -Infinity;
-  return Math.log(Math.abs(lc)) + Math.log(Math.abs(le));
-};
-
-// g''(π,ε) = A/(B-A) + 2ε/(1-2ε)
-const gCurv = (A, B, eps) => A/(B-A) + (Math.abs(1-2*eps)>1e-12 ? 2*eps/(1-2*eps) : Infinity);
-
-// cos k* = -(A + 2εB)/(4εA)
-const cosKstar = (A, B, eps) => {
-  const d = 4*eps*A;
-  if (Math.abs(d) < 1e-12) return null;
-  const v = -(A + 2*eps*B)/d;
-  return Math.abs(v) <= 1 ? v : null;
-};
-
-// ── Seeded RNG (LCG) ─────────────────────────────────────────────────
-const rng = seed => {
-  let s = seed >>> 0;
-  return () => { s = (Math.imul(1664525, s) + 1013904223) >>> 0; return s/0x100000000; };
-};
-
-// ── CA Core (Definition 2.2, Steps 1–4) ─────────────────────────────
-// Step 2: ψ^U_i = (A/2)(ψ_{i-1}+ψ_{i+1}) + Bψ_i  → Fourier: (Acosk+B)ψ̃_k
-// Step 3: ψ''_i = ψ^U_i + ε(ψ^U_{i-1}+ψ^U_{i+1})  → ×(1+2εcosk)
-function caStep(psi, A, B, eps) {
-  const L = psi.length;
-  const U = new Float64Array(L);
-  for (let i = 0; i < L; i++) {
-    U[i] = (A/2)*(psi[(i-1+L)%L] + psi[(i+1)%L]) + B*psi[i];
-  }
-  const pp = new Float64Array(L);
-  for (let i = 0; i < L; i++) {
-    pp[i] = U[i] + eps*(U[(i-1+L)%L] + U[(i+1)%L]);
-  }
-  let norm = 0;
-  for (let i = 0; i < L; i++) norm += pp[i]*pp[i];
-  norm = Math.sqrt(norm) || 1;
-  return pp.map(v => v/norm);
-}
-
-// ── Real DFT power spectrum ──────────────────────────────────────────
-function powerSpectrum(psi) {
-  const N = psi.length;
-  const half = Math.floor(N/2) + 1;
-  const P = new Float64Array(half);
-  for (let k = 0; k < half; k++) {
-    let re = 0, im = 0;
-    for (let n = 0; n < N; n++) {
-      const a = 2*Math.PI*k*n/N;
-      re += psi[n]*Math.cos(a);
-      im -= psi[n]*Math.sin(a);
-    }
-    P[k] = (re*re + im*im)/N;
-  }
-  return P;
-}
-
-// ── Colormaps ────────────────────────────────────────────────────────
-// RdBu diverging centered at 0
-const divColor = (v, scale) => {
-  const t = Math.max(-1, Math.min(1, v/Math.max(scale, 1e-9)));
-  if (t >= 0) {
-    // positive: dark → amber/orange
-    const r = Math.round(255*Math.min(1, 0.2 + 1.5*t));
-    const g = Math.round(255*Math.min(1, 0.3*t));
-    const b = Math.round(20);
-    return [r, g, b];
-  } else {
-    // negative: dark → cyan/blue
-    const s = -t;
-    const r = Math.round(20);
-    const g = Math.round(255*Math.min(1, 0.5*s));
-    const b = Math.round(255*Math.min(1, 0.2 + 1.5*s));
-    return [r, g, b];
-  }
-};
-
-// Power spectrum colormap (black → violet → white)
-const specColor = (v, maxV) => {
-  const t = Math.min(1, v/Math.max(maxV, 1e-9));
-  const r = Math.round(255*Math.pow(t, 0.5));
-  const g = Math.round(255*Math.pow(t, 0.8)*0.3);
-  const b = Math.round(255*Math.min(1, t*1.2));
-  return [r, g, b];
-};
-
-// ── Phase map colormap ──────────────────────────────────────────────
-const phaseColor = (A, B, eps, ec) => {
-  if (Math.abs(A) < 0.05 || Math.abs(B) < 0.05) return "#1a2030"; // trivial
-  if (sgn(A) === sgn(B)) return C.blueD; // FM
-  if (!ec || ec <= 0) return "#1a2030";
-  if (eps < ec*0.97) return C.amberD;   // AFM
-  if (eps > ec*1.03) return C.greenD;   // Incomm.
-  return C.roseD; // critical
-};
-
-// ── UI Components ────────────────────────────────────────────────────
-const Card = ({children, style={}}) => (
-  <div style={{background:C.card, border:`1px solid ${C.border}`, borderRadius:10, padding:"16px 20px", ...style}}>
-    {children}
-  </div>
-);
-
-const SecLabel = ({children, color=C.dim}) => (
-  <div style={{fontFamily:"monospace", fontSize:9, letterSpacing:"0.18em",
-    textTransform:"uppercase", color, marginBottom:8}}>{children}</div>
-);
-
-const Stat = ({label, value, color=C.amber, small=false}) => (
-  <div style={{background:C.bg, border:`1px solid ${C.border}`, borderRadius:6, padding:small?"6px 10px":"8px 12px"}}>
-    <div style={{fontSize:7, letterSpacing:"0.14em", color:C.dim, textTransform:"uppercase", marginBottom:3}}>{label}</div>
-    <div style={{fontFamily:"monospace", fontSize:small?11:13, fontWeight:700, color}}>{value}</div>
-  </div>
-);
-
-const Badge = ({label, color}) => (
-  <span style={{display:"inline-block", padding:"3px 12px", borderRadius:20, fontSize:10,
-    fontFamily:"monospace", fontWeight:700,
-    background:color+"25", border:`1px solid ${color}60`, color}}>{label}</span>
-);
-
-function Slider({label, value, min, max, step, onChange, color=C.amber}) {
-  return (
-    <div style={{flex:1, minWidth:160}}>
-      <div style={{display:"flex", justifyContent:"space-between", marginBottom:3}}>
-        <span style={{fontFamily:"monospace", fontSize:9, color:C.dim, textTransform:"uppercase", letterSpacing:"0.1em"}}>{label}</span>
-        <span style={{fontFamily:"monospace", fontSize:12, fontWeight:700, color}}>{value.toFixed(5)}</span>
-      </div>
-      <input type="range" min={min} max={max} step={step} value={value}
-        onChange={e=>onChange(parseFloat(e.target.value))}
-        style={{width:"100%", accentColor:color, cursor:"pointer"}}/>
-      <div style={{display:"flex", justifyContent:"space-between", marginTop:1}}>
-        <span style={{fontSize:8, fontFamily:"monospace", color:C.muted}}>{min}</span>
-        <span style={{fontSize:8, fontFamily:"monospace", color:C.muted}}>{max}</span>
-      </div>
-    </div>
-  );
-}
-
-// ── Canvas Heatmap ───────────────────────────────────────────────────
-function Heatmap({data, width, height, colorFn, title, subtitle}) {
-  const ref = useRef(null);
-  useEffect(() => {
-    if (!ref.current || !data || data.length === 0) return;
-    const canvas = ref.current;
-    const ctx = canvas.getContext("2d");
-    const T = data.length, L = data[0].length;
-    canvas.width = L; canvas.height = T;
-    // Find scale
-    let maxAbs = 0;
-    for (const row of data) for (const v of row) maxAbs = Math.max(maxAbs, Math.abs(v));
-    const img = ctx.createImageData(L, T);
-    for (let t = 0; t < T; t++) {
-      for (let i = 0; i < L; i++) {
-        const [r,g,b] = colorFn(data[t][i], maxAbs);
-        const idx = (t*L + i)*4;
-        img.data[idx]=r; img.data[idx+1]=g; img.data[idx+2]=b; img.data[idx+3]=255;
-      }
-    }
-    ctx.putImageData(img, 0, 0);
-    // Stretch to display size
-    const disp = ref.current.parentElement;
-    if (disp) {
-      ref.current.style.width = "100%";
-      ref.current.style.height = height+"px";
-      ref.current.style.imageRendering = "pixelated";
-    }
-  }, [data, colorFn, height]);
+// Display budgets for batch runs (heatmap rows/columns, spectrum points)
+const MAX_ROWS = 1000, MAX_COLS = 2048, MAX_SPEC_POINTS = 1024, MAX_SPECTRA = 1000, MAX_SPEC_VALUES = 4e6;
+// Steps between spectrum snapshots: `n`, raised so a run keeps ≤MAX_SPECTRA
+// spectra of ≤MAX_SPEC_VALUES values in all; 0 (auto) keeps ~100 spectra
+// and no more than one per 10 steps
+const specInterval = (n, T, modes) => n
+  ? Math.max(n, Math.ceil(T/Math.max(1, Math.min(MAX_SPECTRA, Math.floor(MAX_SPEC_VALUES/modes)))))
+  : Math.max(10, Math.ceil(T/100));
+// Steps averaged by the per-mode growth measurement
+const GROWTH_STEPS = 20;
+// Clamp into a slider range (RANGE); used for phase-diagram picks, coins and presets
+const clampTo = ([lo, hi], v) => Math.min(hi, Math.max(lo, v));
+// Grid sizes of the simulated phase map, coarse to fine
+const PHASE_MAP_LEVELS = [16, 32, 64];
+
+const TABS = [
+  {id:"sim",  label:"CA Simulation"},
+  {id:"grate",label:"Growth Rate"},
+  {id:"bif",  label:"Bifurcation"},
+  {id:"curv", label:"Curvature"},
+  {id:"phase",label:"Phase Diagram"},
+  {id:"scale",label:"Scaling"},
+  {id:"kernel",label:"Kernels"},
+  {id:"2d",   label:"2D Lattice"},
+  {id:"qw",   label:"Quantum Walk"},
+];
+const TAB_IDS = TABS.map(t => t.id);
 
-  return (
-    <div>
-      {title && <SecLabel>{title}</SecLabel>}
-      {subtitle && <div style={{fontSize:9, color:C.dim, marginBottom:8}}>{subtitle}</div>}
-      <div style={{position:"relative", height, background:C.bg, borderRadius:6, overflow:"hidden",
-        border:`1px solid ${C.border}`}}>
-        <canvas ref={ref} style={{display:"block", width:"100%", height:"100%", imageRendering:"pixelated"}}/>
-        <div style={{position:"absolute", bottom:4, left:8, fontSize:8, fontFamily:"monospace", color:C.dimL}}>
-          t=0 (top) → t=T (bottom) · i=0…L-1 (left→right)
-        </div>
-      </div>
-    </div>
-  );
-}
-
-// ── Phase diagram (A,B plane) canvas ────────────────────────────────
-function PhaseDiagram({eps}) {
-  const ref = useRef(null);
-  const N = 200;
-  useEffect(() => {
-    if (!ref.current) return;
-    const ctx = ref.current.getContext("2d");
-    ref.current.width = N; ref.current.height = N;
-    const img = ctx.createImageData(N, N);
-    const Arange = [-2, 2], Brange = [-2, 2];
-    for (let row = 0; row < N; row++) {
-      for (let col = 0; col < N; col++) {
-        const A = Arange[0] + (col/N)*(Arange[1]-Arange[0]);
-        const B = Brange[1] - (row/N)*(Brange[1]-Brange[0]); // flip y
-        const ec = computeEc(A, B);
-        let r=10,g=16,b=28; // default bg
-        if (Math.abs(A) < 0.07 || Math.abs(B) < 0.07) {
-          r=18;g=22;b=35; // trivial
-        } else if (sgn(A) === sgn(B)) {
-          // FM
-          r=8;g=30;b=80;
-        } else if (ec && eps < ec*0.92) {
-          // AFM
-          r=100;g=60;b=5;
-        } else if (ec && eps > ec*1.08) {
-          // Incommensurate
-          r=10;g=80;b=30;
-        } else if (ec) {
-          // Critical
-          r=150;g=20;b=40;
-        }
-        const idx = (row*N+col)*4;
-        img.data[idx]=r; img.data[idx+1]=g; img.data[idx+2]=b; img.data[idx+3]=255;
-      }
-    }
-    ctx.putImageData(img, 0, 0);
-    // Draw axes
-    ctx.strokeStyle="#ffffff30"; ctx.lineWidth=0.5;
-    ctx.beginPath(); ctx.moveTo(N/2,0); ctx.lineTo(N/2,N); ctx.stroke();
-    ctx.beginPath(); ctx.moveTo(0,N/2); ctx.lineTo(N,N/2); ctx.stroke();
-    // Current point
-    // We don't have A,B here, just show the diagram
-  }, [eps]);
-  return (
-    <canvas ref={ref} style={{width:"100%", height:"100%", imageRendering:"pixelated",
-      borderRadius:6, border:`1px solid ${C.border}`}}/>
-  );
-}
-
-// ══════════════════════════════════════════════════════════════════════
 export default function App() {
-  const [A, setA]     = useState(1.0);
-  const [B, setB]     = useState(-1/Math.SQRT2);
-  const [eps, setEps] = useState(0.12);
-  const [L]           = useState(120);
-  const [T]           = useState(250);
-  const [tab, setTab] = useState("sim");
-  const [seed]        = useState(42);
-
-  const ec   = useMemo(() => computeEc(A, B), [A, B]);
-  const curv = useMemo(() => gCurv(A, B, eps), [A, B, eps]);
-  const kStar = useMemo(() => {
-    if (!ec || eps <= ec) return null;
-    const cv = cosKstar(A, B, eps);
-    return cv !== null ? Math.acos(cv) : null;
-  }, [A, B, eps, ec]);
-
-  const isFrustrated = ec !== null;
-  const phase = !isFrustrated ? (sgn(A)===sgn(B)?"Ferromagnetic":"Trivial")
-    : eps < ec-0.004 ? "Antiferromagnetic"
-    : Math.abs(eps-ec) < 0.004 ? "Critical"
-    : "Incommensurate";
+  // Initial values come from the URL (defaults for anything missing)
+  const [start] = useState(() => readUrlState(window.location.search, TAB_IDS));
+  const [A, setA]     = useState(start.A);
+  const [B, setB]     = useState(start.B);
+  const [eps, setEps] = useState(start.eps);
+  const [L, setL]     = useState(start.L);
+  const [T, setT]     = useState(start.T);
+  const [tab, setTab] = useState(start.tab);
+  const [seed, setSeed] = useState(start.seed);
+  const [init, setInit] = useState(start.init);
+  const [live, setLive] = useState(false);
+  const [method, setMethod] = useState(start.method);
+  const [bc, setBc] = useState(start.bc);
+  const [ext, setExt] = useState(start.ext);
+  const [kernel, setKernel] = useState(start.kernel);
+  const [specEvery, setSpecEvery] = useState(start.specEvery);
+  const specStep = specInterval(specEvery, T, modeGrid(L, bc).count);
+
+  // Closed forms for the nearest-neighbour kernel, numerical otherwise
+  const ec   = useMemo(() => computeEcKernel(A, B, kernel), [A, B, kernel]);
+  const curv = useMemo(() => gCurvKernel(A, B, eps, kernel), [A, B, eps, kernel]);
+  const kStar = useMemo(() => kStarOfKernel(A, B, eps, kernel), [A, B, eps, kernel]);
+  const phase = useMemo(() => classifyPhaseKernel(A, B, eps, kernel), [A, B, eps, kernel]);
+  // Numerical εc / argmax|λ| next to the closed forms: fallback and cross-check
+  const solver = useMemo(() => closedFormCheck(A, B, eps, kernel), [A, B, eps, kernel]);
+  const kShown = kStar ?? (solver.k.status === "fallback" ? solver.k.numeric : null);
   const phCol = {Ferromagnetic:C.blue, Antiferromagnetic:C.amber,
     Critical:C.rose, Incommensurate:C.green, Trivial:C.muted}[phase];
 
   // ── Run CA simulation ─────────────────────────────────────────────
-  const {history, specHistory} = useMemo(() => {
-    const rand = rng(seed);
-    let psi = Float64Array.from({length:L}, () => rand()-0.5);
-    let norm = Math.sqrt(psi.reduce((s,v)=>s+v*v,0));
-    psi = psi.map(v=>v/norm);
-    const history = [Array.from(psi)];
-    const specHistory = [];
-    // Sparse spectrum saves: every 10 steps
-    for (let t = 0; t < T; t++) {
-      psi = caStep(psi, A, B, eps);
-      history.push(Array.from(psi));
-      if (t%10 === 0 || t === T-1) specHistory.push({t, P:Array.from(powerSpectrum(psi))});
-    }
-    return {history, specHistory};
-  }, [A, B, eps, L, T, seed]);
+  // Batch: full T-step run in the worker. Live: rolling window of T steps.
+  // Long runs on big rings keep ≤MAX_ROWS rows of ≤MAX_COLS sites and ≤MAX_SPECTRA spectra.
+  const historyEvery = Math.ceil(T/MAX_ROWS), siteStride = Math.ceil(L/MAX_COLS);
+  const simArgs = useMemo(() => live ? null : {
+    A, B, eps, L, T, seed, init, method, bc, ext, kernel,
+    specEvery: specStep,
+    historyEvery, siteStride,
+  }, [A, B, eps, L, T, seed, init, method, bc, ext, kernel, specStep, historyEvery, siteStride, live]);
+  const batch = useWorkerTask("simulate", simArgs);
+  const stream = useLiveStream({enabled:live, A, B, eps, kernel, L, seed, init, bc, ext, window:T, specEvery:specStep,
+    historyEvery, siteStride});
+  const {history, specHistory, lyapunov} = (live ? stream.frame : batch.result) ?? {history:[], specHistory:[], lyapunov:[]};
+  const simError = live ? stream.error : batch.error;
+  const check = live ? null : batch.result?.check;
 
   // ── Spectrum chart data ───────────────────────────────────────────
   const specData = useMemo(() => {
-    const half = Math.floor(L/2)+1;
-    return Array.from({length:half}, (_,k) => {
-      const kval = (k/L)*2*Math.PI; // actual k
-      const kpi = kval/Math.PI;
+    const {count:half, k0:kFirst, dk} = modeGrid(L, bc);
+    // Large rings: keep each bin's maximum so narrow peaks survive decimation
+    const bin = Math.ceil(half/MAX_SPEC_POINTS);
+    // early, mid, final
+    const snapshots = [0, Math.floor(specHistory.length/3),
+      Math.floor(2*specHistory.length/3), specHistory.length-1]
+      .map(si => specHistory[Math.min(si, specHistory.length-1)]);
+    return Array.from({length:Math.ceil(half/bin)}, (_,j) => {
+      const k0 = j*bin;
+      const kpi = (kFirst + k0*dk)/Math.PI; // actual k/π
       const row = {kpi:+kpi.toFixed(4)};
-      // early, mid, final
-      const snapshots = [0, Math.floor(specHistory.length/3),
-        Math.floor(2*specHistory.length/3), specHistory.length-1];
-      snapshots.forEach((si,idx) => {
-        const sn = specHistory[Math.min(si, specHistory.length-1)];
-        row[`t${idx}`] = sn ? +(sn.P[k]||0).toFixed(6) : 0;
+      snapshots.forEach((sn,idx) => {
+        let v = 0;
+        if (sn) for (let k = k0; k < Math.min(k0+bin, half); k++) v = Math.max(v, sn.P[k]||0);
+        row[`t${idx}`] = +v.toFixed(6);
       });
       return row;
     });
-  }, [specHistory, L]);
+  }, [specHistory, L, bc]);
+
+  // ── Measured dominant k(t) vs Thm 6.1 ─────────────────────────────
+  const kMeas = useMemo(() => {
+    const track = kTrack(specHistory, L, bc);
+    return {
+      track: track.map(p => ({t:p.t, kpi:+p.kPi.toFixed(5)})),
+      cmp: compareK(track, A, B, eps, L, bc, kernel),
+    };
+  }, [specHistory, L, bc, A, B, eps, kernel]);
 
   // ── Growth rate data ──────────────────────────────────────────────
   const growthData = useMemo(() => {
@@ -344,20 +155,39 @@ export default function App() {
         const k = (i/300)*Math.PI;
         const row = {kpi:+(k/Math.PI).toFixed(4)};
         epsList.forEach((e,j) => {
-          const g = gRate(k, A, B, e);
+          const g = gRateKernel(k, A, B, e, kernel);
           row[`e${j}`] = isFinite(g) ? +g.toFixed(5) : null;
         });
         return row;
       }),
       live: Array.from({length:301}, (_,i) => {
         const k = (i/300)*Math.PI;
-        const g = gRate(k, A, B, eps);
+        const g = gRateKernel(k, A, B, eps, kernel);
         return {kpi:+(k/Math.PI).toFixed(4), g: isFinite(g)?+g.toFixed(5):null};
       }),
       epsList, colors,
       labels: epsList.map(e=>`ε=${e.toFixed(4)}`),
     };
-  }, [A, B, eps, ec]);
+  }, [A, B, eps, ec, kernel]);
+
+  // ── Measured per-mode growth (worker) ───────────────────────────
+  const growthArgs = useMemo(() => tab === "grate"
+    ? {A, B, eps, L, seed, init, bc, kernel, steps:GROWTH_STEPS} : null,
+  [tab, A, B, eps, L, seed, init, bc, kernel]);
+  const growthTask = useWorkerTask("growth", growthArgs);
+  const growthMeas = useMemo(() => {
+    const modes = (growthTask.result ?? []).filter(m => m.g !== null);
+    const stride = Math.ceil(modes.length/MAX_SPEC_POINTS);
+    const res = modes.filter(m => m.residual !== null).map(m => Math.abs(m.residual));
+    return {
+      points: modes.filter((_,i) => i%stride === 0).map(m => ({
+        kpi:+m.kPi.toFixed(5), gm:m.g, res:m.residual,
+      })),
+      count: modes.length,
+      maxRes: res.reduce((a,b) => Math.max(a,b), 0),
+      rmsRes: Math.sqrt(res.reduce((a,b) => a+b*b, 0)/Math.max(res.length, 1)),
+    };
+  }, [growthTask.result]);
 
   // ── Bifurcation data ──────────────────────────────────────────────
   const bifData = useMemo(() => {
@@ -365,58 +195,112 @@ export default function App() {
     return Array.from({length:600}, (_,i) => {
       const e = 0.001 + (i/599)*(Math.min(ec*4, 0.92)-0.001);
       if (e < ec) return {eps:+e.toFixed(5), stable:1, kPlus:null, kMinus:null};
-      const cv = cosKstar(A, B, e);
+      const cv = cosKstarKernel(A, B, e, kernel);
       const kth = cv!==null ? Math.acos(cv)/Math.PI : 1;
       return {eps:+e.toFixed(5), stable:null, kPlus:kth, kMinus:-kth, unstable:1};
     });
-  }, [A, B, ec]);
+  }, [A, B, ec, kernel]);
+
+  // ── Numerical ε sweep (worker, run on demand) ────────────────────
+  const [sweepArgs, setSweepArgs] = useState(null);
+  const sweep = useWorkerTask("sweepEps", sweepArgs);
+  const sweepStale = !!sweepArgs && (sweepArgs.A !== A || sweepArgs.B !== B || sweepArgs.kernel !== kernel);
+  const sweepPts = useMemo(() => (sweep.result?.points ?? []).flatMap(p => p.dk < 0.999
+    ? [{eps:+p.eps.toFixed(5), ks:+p.kPi.toFixed(5)}, {eps:+p.eps.toFixed(5), ks:-(+p.kPi.toFixed(5))}] : []),
+  [sweep.result]);
+
+  // ── Measured ξ and ν (worker, run on demand) ──────────────────────
+  const [scalingArgs, setScalingArgs] = useState(null);
+  const scaling = useWorkerTask("scaling", scalingArgs);
+  const scalingStale = !!scalingArgs && (scalingArgs.A !== A || scalingArgs.B !== B || scalingArgs.kernel !== kernel);
+
+  // ── Phase diagram slice: (A,B), (ε,B) or (ε,A) ────────────────────
+  const [pdPlane, setPdPlane] = useState(start.plane);
+
+  // ── Shareable URL: query string ⇄ parameters, back/forward history ─
+  const urlState = useMemo(() => ({A, B, eps, L, T, seed, tab, method, bc, plane:pdPlane, init, ext, kernel, specEvery}),
+    [A, B, eps, L, T, seed, tab, method, bc, pdPlane, init, ext, kernel, specEvery]);
+  const applyUrlState = useCallback(s => {
+    setA(s.A); setB(s.B); setEps(s.eps); setL(s.L); setT(s.T); setSeed(s.seed); setTab(s.tab);
+    setMethod(s.method); setBc(s.bc); setPdPlane(s.plane); setInit(s.init); setExt(s.ext); setKernel(s.kernel);
+    setSpecEvery(s.specEvery);
+  }, []);
+  useUrlSync(urlState, applyUrlState, TAB_IDS);
+  // Presets merge over the current configuration (init/ext/kernel field by field);
+  // A, B, ε are clamped to the slider ranges (Pauli-Z / I has A=0)
+  const applyPreset = useCallback(config => {
+    const s = {
+      ...urlState, ...config, init:{...urlState.init, ...config.init}, ext:{...urlState.ext, ...config.ext},
+      kernel:{...urlState.kernel, ...config.kernel},
+    };
+    for (const k of ["A", "B", "eps"]) if (Number.isFinite(s[k])) s[k] = clampTo(RANGE[k], s[k]);
+    applyUrlState(normalizeState(s, TAB_IDS));
+  }, [urlState, applyUrlState]);
+
+  // Tbl 3 rows through the numerical solver
+  const benchmarkSolved = useMemo(() => BENCHMARK_PRESETS.map(({config:{A:a, B:b}}) => {
+    const c = solveCritical(a, b);
+    if (!c) return `none — ${solveMode(a, b, 0.01).phase}${a === 0 ? " (|λ| flat at ε=0)" : ""}`;
+    const to = c.to === null ? "" : c.to < 1e-6 ? " → FM" : ` → k=${(c.to/Math.PI).toFixed(3)}π`;
+    return `${c.ec.toFixed(5)}${c.jump ? ` · first-order${to}` : " ✓"}`;
+  }), []);
+
+  // ── Simulated phase map (worker, refined in the background) ───────
+  const [phaseMapArgs, setPhaseMapArgs] = useState(null);
+  const phaseMap = useRefinedTask("phaseMap", phaseMapArgs, PHASE_MAP_LEVELS);
+  const phaseMapStale = !!phaseMapArgs &&
+    (phaseMapArgs.plane === "AB" ? phaseMapArgs.eps !== eps : phaseMapArgs.A !== A);
 
   // ── Curvature data ────────────────────────────────────────────────
   const curvData = useMemo(() => {
     if (!ec) return [];
     return Array.from({length:400}, (_,i) => {
       const e = 0.005 + (i/399)*(Math.min(ec*3.5, 0.47)-0.005);
-      const c = gCurv(A, B, e);
+      const c = gCurvKernel(A, B, e, kernel);
+      // Step 2 term is the ε = 0 curvature; Step 3 the rest
+      const t1 = gCurvKernel(A, B, 0, kernel);
       return {
         eps:+e.toFixed(4),
         curv: isFinite(c)?+c.toFixed(5):null,
-        t1:+(A/(B-A)).toFixed(5),
-        t2:Math.abs(1-2*e)>1e-9?+((2*e)/(1-2*e)).toFixed(5):null,
+        t1:+t1.toFixed(5),
+        t2:isFinite(c)?+(c-t1).toFixed(5):null,
       };
     });
-  }, [A, B, ec]);
+  }, [A, B, ec, kernel]);
 
   // ── Scaling: k*(ε) and ξ ─────────────────────────────────────────
   const scalingData = useMemo(() => {
     if (!ec) return {kstar:[], xi:[]};
     const kstar = Array.from({length:400}, (_,i) => {
       const e = 0.001 + (i/399)*(Math.min(ec*4, 0.9)-0.001);
-      const cv = e>ec ? cosKstar(A,B,e) : null;
+      const cv = e>ec ? cosKstarKernel(A,B,e,kernel) : null;
       return {eps:+e.toFixed(4), kstar: cv!==null ? +(Math.acos(cv)/Math.PI).toFixed(5) : (e<ec?1:null)};
     });
+    // ξ = √|c₄/c₂| from the expansion of g around π
+    const xiAt = de => {
+      const {c2, c4} = piSeries(A, B, ec+de, kernel);
+      return c2 ? +Math.sqrt(Math.abs(c4/c2)).toFixed(3) : null;
+    };
     const xi = [];
     for (let i=1; i<=120; i++) {
       const de = i*0.001;
-      if (ec-de>0) xi.push({de:-de, xi:+(1/Math.sqrt(de)).toFixed(3)});
-    }
-    for (let i=1; i<=120; i++) {
-      const de = i*0.001;
-      if (ec+de<0.9) xi.push({de, xi:+(1/Math.sqrt(de)).toFixed(3)});
+      if (ec-de>0) xi.push({de:-de, xi:xiAt(-de)});
+      if (ec+de<0.9) xi.push({de, xi:xiAt(de)});
     }
     return {kstar, xi:xi.sort((a,b)=>a.de-b.de)};
-  }, [A, B, ec]);
+  }, [A, B, ec, kernel]);
 
-  const TABS = [
-    {id:"sim",  label:"CA Simulation"},
-    {id:"grate",label:"Growth Rate"},
-    {id:"bif",  label:"Bifurcation"},
-    {id:"curv", label:"Curvature"},
-    {id:"phase",label:"Phase Diagram"},
-    {id:"scale",label:"Scaling"},
-  ];
+  // ── Figure export: parameters written into every exported file ────
+  const [printTheme, setPrintTheme] = useState(false);
+  const exportCtx = useMemo(() => ({
+    print:printTheme,
+    params:{A, B, eps, ec, L, T, seed, bc, init:init.kind, method, ...ext,
+      ...(isNearest(kernel) ? {} : {hop:kernel.hop, couple:kernel.couple})},
+  }), [printTheme, A, B, eps, ec, L, T, seed, bc, init.kind, method, ext, kernel]);
 
   // ── Layout ────────────────────────────────────────────────────────
   return (
+    <ExportContext.Provider value={exportCtx}>
     <div style={{background:C.bg, minHeight:"100vh", color:C.text,
       fontFamily:"'Courier New', monospace"}}>
 
@@ -435,28 +319,24 @@ export default function App() {
           <span style={{color:C.border2}}>·</span>
           <span>Thm 6.1: cos k* = −(A+2εB)/(4εA)</span>
           <span style={{color:C.border2}}>·</span>
-          <span>ν = 1/2 (mean-field exact)</span>
+          <span>ν = 1/2 (mean-field)</span>
         </div>
       </div>
 
       {/* CONTROLS */}
       <div style={{background:C.panel, borderBottom:`1px solid ${C.border}`, padding:"12px 26px"}}>
         <div style={{display:"flex", gap:20, alignItems:"flex-end", flexWrap:"wrap"}}>
-          <Slider label="A (hopping)" value={A} min={0.1} max={2.0} step={0.01} onChange={setA} color={C.amber}/>
-          <Slider label="B (on-site)" value={B} min={-2.0} max={2.0} step={0.001} onChange={setB} color={C.cyan}/>
-          <Slider label="ε (coupling)" value={eps} min={0.001} max={0.6} step={0.001} onChange={setEps} color={C.green}/>
-          <div style={{display:"flex", gap:8, flexWrap:"wrap", paddingBottom:2}}>
-            <button onClick={()=>{setA(1);setB(-1/Math.SQRT2);setEps(0.12);}}
-              style={{background:C.amberD+"35",border:`1px solid ${C.amberD}`,color:C.amber,borderRadius:5,padding:"4px 10px",cursor:"pointer",fontSize:8,fontFamily:"monospace"}}>
-              Hadamard (ε&lt;εc)
-            </button>
-            <button onClick={()=>{setA(1);setB(-1/Math.SQRT2);setEps(0.28);}}
-              style={{background:C.greenD+"35",border:`1px solid ${C.greenD}`,color:C.green,borderRadius:5,padding:"4px 10px",cursor:"pointer",fontSize:8,fontFamily:"monospace"}}>
-              Hadamard (ε&gt;εc)
-            </button>
-            <button onClick={()=>{setA(1.5);setB(-0.5);setEps(0.15);}}
-              style={{background:C.border,border:`1px solid ${C.border2}`,color:C.dim,borderRadius:5,padding:"4px 10px",cursor:"pointer",fontSize:8,fontFamily:"monospace"}}>
-              A=1.5 B=-0.5
+          <Slider label="A (hopping)" value={A} min={RANGE.A[0]} max={RANGE.A[1]} step={0.01} onChange={setA} color={C.amber}/>
+          <Slider label="B (on-site)" value={B} min={RANGE.B[0]} max={RANGE.B[1]} step={0.001} onChange={setB} color={C.cyan}/>
+          <Slider label="ε (coupling)" value={eps} min={RANGE.eps[0]} max={RANGE.eps[1]} step={0.001} onChange={setEps} color={C.green}/>
+          <PresetBar state={urlState} onApply={applyPreset}/>
+          <div style={{display:"flex", gap:10, alignItems:"flex-end"}}>
+            <NumberField label="L sites" value={L} min={8} max={65536} onChange={setL} color={C.violet} width={76}/>
+            <NumberField label="T steps" value={T} min={10} max={100000} onChange={setT} color={C.violet} width={76}/>
+            <NumberField label="Seed" value={seed} min={0} max={2147483647} onChange={setSeed} color={C.dimL} width={96}/>
+            <button onClick={()=>setSeed(Math.floor(Math.random()*2147483647))} title="Re-roll seed"
+              style={{background:C.border,border:`1px solid ${C.border2}`,color:C.dimL,borderRadius:5,padding:"4px 10px",cursor:"pointer",fontSize:8,fontFamily:"monospace",marginBottom:16}}>
+              ↻ re-roll
             </button>
           </div>
         </div>
@@ -464,7 +344,7 @@ export default function App() {
         <div style={{display:"flex", gap:8, marginTop:10, flexWrap:"wrap", alignItems:"center"}}>
           <Badge label={phase} color={phCol}/>
           <div style={{fontSize:9, color:C.dim, fontFamily:"monospace"}}>
-            εc = {ec?ec.toFixed(6):"n/a"}
+            εc = {ec?ec.toFixed(6):solver.ec.numeric!==null?`${solver.ec.numeric.toFixed(6)} (numerical)`:"n/a"}
           </div>
           <div style={{fontSize:9, color:C.dim}}>·</div>
           <div style={{fontSize:9, color:C.dim, fontFamily:"monospace"}}>
@@ -472,12 +352,37 @@ export default function App() {
           </div>
           <div style={{fontSize:9, color:C.dim}}>·</div>
           <div style={{fontSize:9, color:C.dim, fontFamily:"monospace"}}>
-            k*/π = {kStar?(kStar/Math.PI).toFixed(5):"1.00000 (AFM)"}
+            k*/π = {kStar?(kStar/Math.PI).toFixed(5)
+              :kShown!==null?`${(kShown/Math.PI).toFixed(5)} (numerical)`:"1.00000 (AFM)"}
           </div>
           <div style={{fontSize:9, color:C.dim}}>·</div>
           <div style={{fontSize:9, color:(curv>0.01?C.green:curv<-0.01?C.rose:C.amber), fontFamily:"monospace"}}>
             g''(π,ε) = {isFinite(curv)?curv.toFixed(5):"∞"}
           </div>
+          {!solver.agree && (
+            <span title={"Numerical solver (global maximum of |λ(k)|) disagrees with the closed form"
+              + (solver.transition?.jump ? " — the onset is first-order" : "")}
+              style={{fontSize:8, fontFamily:"monospace", color:C.rose, border:`1px solid ${C.rose}`,
+                borderRadius:5, padding:"2px 8px"}}>
+              closed form ≠ numerical: {[
+                solver.ec.status === "disagree" && `εc ${solver.ec.closed.toFixed(5)} vs ${solver.ec.numeric?.toFixed(5) ?? "none"}`,
+                solver.k.status === "disagree" && `k/π ${(solver.k.closed/Math.PI).toFixed(4)} vs ${(solver.k.numeric/Math.PI).toFixed(4)} (${solver.phase})`,
+              ].filter(Boolean).join(" · ")}
+            </span>
+          )}
+          {!isNearest(kernel) && (
+            <button onClick={()=>setTab("kernel")} title="Longer-range kernel active — εc, k* and g'' are numerical"
+              style={{background:C.cyanD+"40", border:`1px solid ${C.cyan}`, color:C.cyan, borderRadius:5,
+                padding:"2px 8px", cursor:"pointer", fontSize:8, fontFamily:"monospace"}}>
+              kernel w=({kernel.hop.join(", ")}) v=({kernel.couple.join(", ")})
+            </button>
+          )}
+          <button onClick={()=>setPrintTheme(p=>!p)} title="Colour theme of exported figures"
+            style={{marginLeft:"auto", background:printTheme?C.white:C.border, border:`1px solid ${C.border2}`,
+              color:printTheme?C.bg:C.dimL, borderRadius:5, padding:"3px 10px", cursor:"pointer", fontSize:8,
+              fontFamily:"monospace"}}>
+            export theme: {printTheme ? "print (light)" : "screen (dark)"}
+          </button>
         </div>
       </div>
 
@@ -503,21 +408,36 @@ export default function App() {
             <div style={{display:"flex", flexDirection:"column", gap:14}}>
 
               {/* Space-time heatmap */}
-              <Card>
+              <Card exportAs={{name:"spacetime", kind:"canvas", title:"Space-time evolution ψᵢ(t)", labels:{x:"site i →", y:"← t"}}}>
                 <SecLabel color={C.amber}>Space-Time Evolution  ψᵢ(t)</SecLabel>
+                <LiveControls live={live} onLive={setLive} stream={stream} window={T}
+                  method={method} onMethod={setMethod}/>
                 <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:10}}>
                   {phase==="Antiferromagnetic"
                     ? `AFM phase: alternating-sign pattern (k=π). Staggered ↑↓↑↓ order dominates.`
                     : phase==="Incommensurate"
-                    ? `Incommensurate phase: longer-wavelength modulation at k*=${kStar?(kStar/Math.PI).toFixed(4)+"π":"n/a"}.`
+                    ? `Incommensurate phase: longer-wavelength modulation at k*=${kShown?(kShown/Math.PI).toFixed(4)+"π":"n/a"}.`
                     : `Phase: ${phase}. ε/εc = ${ec?(eps/ec).toFixed(3):"n/a"}.`}
-                  {" "}Orange = positive, Blue = negative amplitude. L={L} sites, T={T} steps.
+                  {" "}Orange = positive, Blue = negative amplitude. L={L} sites, {live
+                    ? `last ${T} steps (scrolling), A/B/ε changes apply without reset.`
+                    : `T=${T} steps.`}
+                  {(T > MAX_ROWS || L > MAX_COLS) && ` Heatmap samples ${[
+                    T > MAX_ROWS && `1 row per ${historyEvery} steps`,
+                    L > MAX_COLS && `1 column per ${siteStride} sites`,
+                  ].filter(Boolean).join(", ")}.`}
+                  {!live && method==="real" && L*T > 2e8 &&
+                    <span style={{color:C.amber}}> Large run — the spectral propagator is much faster.</span>}
+                  {!live && batch.pending && <span style={{color:C.dimL}}> · computing in worker…</span>}
                 </div>
-                <Heatmap data={history} width={L} height={260} colorFn={divColor}/>
+                {simError && <div style={{color:C.rose, fontSize:10, marginBottom:8}}>{simError}</div>}
+                <Heatmap data={history} height={260} colorFn={divColor}
+                  caption={live && stream.frame
+                    ? `t=${stream.frame.rowsFrom} (top) → t=${stream.frame.t} (bottom) · i=0…L-1`
+                    : undefined}/>
               </Card>
 
               {/* Fourier power spectrum evolution */}
-              <Card>
+              <Card exportAs={{name:"spectrum", title:"Power spectrum P(k) at 4 snapshots"}}>
                 <SecLabel color={C.violet}>Fourier Power Spectrum  P(k) = |ψ̃ₖ|²  at 4 Snapshots</SecLabel>
                 <div style={{fontSize:9, color:C.dim, marginBottom:10, lineHeight:1.7}}>
                   Spectrum narrows around dominant mode as t→∞. Power law 5.1: state concentrates on
@@ -546,10 +466,68 @@ export default function App() {
                   </LineChart>
                 </ResponsiveContainer>
               </Card>
+
+              {/* Spectrogram: P(k, t) on a log scale */}
+              <SpectrogramPanel specHistory={specHistory} L={L} bc={bc} kPred={predictedK(A, B, eps, kernel)}
+                specEvery={specEvery} step={specStep} onSpecEvery={setSpecEvery}/>
+
+              {/* Measured vs predicted k* */}
+              <Card exportAs={{name:"k-track", title:"Measured vs predicted k*"}}>
+                <SecLabel color={C.green}>Measured vs Predicted k*  (Thm 6.1)</SecLabel>
+                <div style={{fontSize:9, color:C.dim, marginBottom:10, lineHeight:1.7}}>
+                  Dominant wavevector of each spectrum snapshot, refined to sub-bin accuracy by a Gaussian
+                  fit through the peak bin and its neighbours (mode spacing {(modeGrid(L, bc).dk/Math.PI).toFixed(4)}π, {bc} ends).
+                </div>
+                {kMeas.cmp && (
+                  <div style={{display:"grid", gridTemplateColumns:"repeat(4,1fr)", gap:6, marginBottom:10}}>
+                    <Stat small label="measured k/π (final)" value={(kMeas.cmp.kFinal/Math.PI).toFixed(5)} color={C.violet}/>
+                    <Stat small label="predicted k/π" value={kMeas.cmp.kPred!==null?(kMeas.cmp.kPred/Math.PI).toFixed(5):"n/a"} color={C.green}/>
+                    <Stat small label="Δ vs prediction" value={kMeas.cmp.devPred!==null?`${(kMeas.cmp.devPred/Math.PI).toFixed(5)}π`:"—"}
+                      color={kMeas.cmp.devPred!==null && Math.abs(kMeas.cmp.devPred)<=kMeas.cmp.binWidth?C.green:C.rose}/>
+                    <Stat small label="Δ vs π" value={`${(kMeas.cmp.devPi/Math.PI).toFixed(5)}π`}
+                      color={phase==="Antiferromagnetic"
+                        ? (Math.abs(kMeas.cmp.devPi)<=kMeas.cmp.binWidth?C.green:C.rose) : C.dim}/>
+                  </div>
+                )}
+                <ResponsiveContainer width="100%" height={180}>
+                  <LineChart data={kMeas.track} margin={{top:8,right:20,bottom:30,left:20}}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={C.grid}/>
+                    <XAxis dataKey="t" type="number" domain={["dataMin","dataMax"]} stroke={C.dim}
+                      tick={{fontSize:8,fill:C.dim}}
+                      label={{value:"t", position:"insideBottom", offset:-10, fill:C.dim, fontSize:9}}/>
+                    <YAxis domain={[0,1]} stroke={C.dim} tick={{fontSize:8,fill:C.dim}} tickFormatter={v=>`${v}π`}
+                      label={{value:"k_dom/π", angle:-90, position:"insideLeft", fill:C.dim, fontSize:9}}/>
+                    <Tooltip contentStyle={tt} formatter={v=>[v?.toFixed(5),"k_dom/π"]}
+                      labelFormatter={v=>`t=${v}`}/>
+                    {kStar && <ReferenceLine y={kStar/Math.PI} stroke={C.green} strokeDasharray="4 3"
+                      label={{value:"k*",fill:C.green,fontSize:9,position:"right"}}/>}
+                    <ReferenceLine y={1} stroke={C.cyan} strokeDasharray="4 3"
+                      label={{value:"π",fill:C.cyan,fontSize:9,position:"right"}}/>
+                    <Line type="stepAfter" dataKey="kpi" stroke={C.violet} strokeWidth={2} dot={false}
+                      isAnimationActive={false}/>
+                  </LineChart>
+                </ResponsiveContainer>
+              </Card>
+
+              {/* Lyapunov exponent and spectral gap */}
+              <LyapunovPanel series={lyapunov} A={A} B={B} eps={eps} L={L} bc={bc} kernel={kernel} ec={ec}
+                linear={isLinear(ext)}/>
             </div>
 
             {/* Sidebar */}
             <div style={{display:"flex", flexDirection:"column", gap:12}}>
+              <Card>
+                <InitControls init={init} onChange={setInit} L={L}/>
+              </Card>
+
+              <Card>
+                <BoundaryControls bc={bc} onChange={setBc} L={L} kTarget={predictedK(A, B, eps, kernel)}/>
+              </Card>
+
+              <Card>
+                <ExtensionControls ext={ext} onChange={setExt}/>
+              </Card>
+
               <Card>
                 <SecLabel>Evolution Protocol (Def 2.2)</SecLabel>
                 {[
@@ -592,7 +570,13 @@ export default function App() {
                   <Stat small label="εc" value={ec?ec.toFixed(6):"N/A"} color={C.rose}/>
                   <Stat small label="ε" value={eps.toFixed(5)} color={C.green}/>
                   <Stat small label="ε/εc" value={ec?(eps/ec).toFixed(4):"—"} color={C.amber}/>
-                  <Stat small label="k*/π" value={kStar?(kStar/Math.PI).toFixed(5):"1 (AFM)"} color={C.green}/>
+                  <Stat small label="k*/π" value={kStar?(kStar/Math.PI).toFixed(5)
+                    :kShown!==null?`${(kShown/Math.PI).toFixed(5)} (num.)`:"1 (AFM)"} color={C.green}/>
+                  <Stat small label="T steps" value={T} color={C.dim}/>
+                  <Stat small label="seed" value={seed} color={C.dim}/>
+                  {check && <Stat small label={`spectral vs caStep (${check.steps} st.)`}
+                    value={`|Δψ| ≤ ${check.maxDiff.toExponential(1)}`}
+                    color={check.maxDiff < 1e-10 ? C.green : C.rose}/>}
                 </div>
               </Card>
             </div>
@@ -603,7 +587,7 @@ export default function App() {
         {tab==="grate" && (
           <div style={{display:"flex", flexDirection:"column", gap:16}}>
 
-            <Card>
+            <Card exportAs={{name:"growth-rate", title:"Growth rate g(k,ε)"}}>
               <SecLabel color={C.amber}>Def 4.1 — Logarithmic Growth Rate  g(k,ε) = log|Acosk+B| + log|1+2εcosk|</SecLabel>
               <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:14}}>
                 Under projective dynamics, the state concentrates on K*(ε) = argmax g(k,ε).
@@ -647,8 +631,8 @@ export default function App() {
                   {label:"ε = 2.5εc",  col:C.green, note:"Incommensurate phase. k* peaks separate, evolve with ε."},
                 ].map(({label,col,note},i)=>{
                   const e = growthData.epsList[i];
-                  const gc = e ? gCurv(A,B,e) : null;
-                  const cv = e>ec ? cosKstar(A,B,e) : null;
+                  const gc = e ? gCurvKernel(A,B,e,kernel) : null;
+                  const cv = e>ec ? cosKstarKernel(A,B,e,kernel) : null;
                   const ks = cv!==null ? Math.acos(cv)/Math.PI : null;
                   return (
                     <div key={label} style={{background:C.bg, border:`1px solid ${col}33`,
@@ -663,23 +647,56 @@ export default function App() {
               </div>
             )}
 
-            {/* Live curve */}
-            <Card>
+            {/* Live curve + measured per-mode growth */}
+            <Card exportAs={{name:"growth-live", title:`g(k,ε) at ε = ${eps.toFixed(5)}`}}>
               <SecLabel>Live g(k,ε) at Current ε = {eps.toFixed(5)}</SecLabel>
-              <ResponsiveContainer width="100%" height={200}>
-                <LineChart data={growthData.live||[]} margin={{top:8,right:20,bottom:36,left:24}}>
+              <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:8}}>
+                Dots: g(k) measured from the simulation as ½·log[P″(k)/P(k)], the spectrum of the
+                un-normalized update ψ″ over that of ψ, averaged over the first {GROWTH_STEPS} steps from ψ(0).
+              </div>
+              <ResponsiveContainer width="100%" height={220}>
+                <ComposedChart data={growthData.live||[]} margin={{top:8,right:20,bottom:36,left:24}}>
                   <CartesianGrid strokeDasharray="3 3" stroke={C.grid}/>
-                  <XAxis dataKey="kpi" stroke={C.dim} tick={{fontSize:8,fill:C.dim}}
+                  <XAxis dataKey="kpi" type="number" domain={[0,1]} stroke={C.dim} tick={{fontSize:8,fill:C.dim}}
                     tickFormatter={v=>`${v}π`}
                     label={{value:"k/π",position:"insideBottom",offset:-10,fill:C.dim,fontSize:9}}/>
                   <YAxis stroke={C.dim} tick={{fontSize:8,fill:C.dim}}/>
-                  <Tooltip contentStyle={tt} formatter={v=>[v?.toFixed(5),"g"]}/>
+                  <Tooltip contentStyle={tt} formatter={(v,n)=>[v?.toFixed(5),n]}
+                    labelFormatter={v=>`k/π=${(+v).toFixed(4)}`}/>
                   {kStar && <ReferenceLine x={kStar/Math.PI} stroke={C.green} strokeDasharray="4 3"
                     label={{value:`k*`,fill:C.green,fontSize:9}}/>}
                   <ReferenceLine x={1} stroke={C.cyan} strokeDasharray="4 3"
                     label={{value:"π",fill:C.cyan,fontSize:9}}/>
-                  <Line type="monotone" dataKey="g" stroke={phCol} strokeWidth={2.5} dot={false}/>
-                </LineChart>
+                  <Line type="monotone" dataKey="g" stroke={phCol} strokeWidth={2.5} dot={false} name="g analytic"/>
+                  <Scatter data={growthMeas.points} dataKey="gm" fill={C.white} name="g measured"
+                    shape="circle" isAnimationActive={false}/>
+                  <Legend wrapperStyle={{fontSize:9,fontFamily:"monospace",paddingTop:8}}/>
+                </ComposedChart>
+              </ResponsiveContainer>
+            </Card>
+
+            <Card exportAs={{name:"growth-residual", title:"Residual g_measured(k) − g(k,ε)"}}>
+              <SecLabel color={C.violet}>Residual  g_measured(k) − g(k,ε)  (Def 4.1 vs stencil)</SecLabel>
+              <div style={{display:"grid", gridTemplateColumns:"repeat(4,1fr)", gap:8, marginBottom:10}}>
+                <Stat small label="modes measured" value={`${growthMeas.count} / ${modeGrid(L, bc).count}`} color={C.dimL}/>
+                <Stat small label="max |residual|" value={growthMeas.count?growthMeas.maxRes.toExponential(2):"—"}
+                  color={growthMeas.count && growthMeas.maxRes<1e-6?C.green:C.rose}/>
+                <Stat small label="rms residual" value={growthMeas.count?growthMeas.rmsRes.toExponential(2):"—"} color={C.violet}/>
+                <Stat small label="status" value={growthTask.pending?"measuring…":growthTask.error??(growthMeas.count?
+                  (growthMeas.maxRes<1e-6?"formula = stencil":"MISMATCH"):"no modes")} color={C.dim}/>
+              </div>
+              <ResponsiveContainer width="100%" height={160}>
+                <ComposedChart data={growthMeas.points} margin={{top:8,right:20,bottom:30,left:24}}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={C.grid}/>
+                  <XAxis dataKey="kpi" type="number" domain={[0,1]} stroke={C.dim} tick={{fontSize:8,fill:C.dim}}
+                    tickFormatter={v=>`${v}π`}
+                    label={{value:"k/π",position:"insideBottom",offset:-10,fill:C.dim,fontSize:9}}/>
+                  <YAxis stroke={C.dim} tick={{fontSize:8,fill:C.dim}} tickFormatter={v=>v.toExponential(0)}/>
+                  <Tooltip contentStyle={tt} formatter={v=>[v?.toExponential(3),"residual"]}
+                    labelFormatter={v=>`k/π=${(+v).toFixed(4)}`}/>
+                  <ReferenceLine y={0} stroke={C.border2}/>
+                  <Scatter dataKey="res" fill={C.violet} isAnimationActive={false}/>
+                </ComposedChart>
               </ResponsiveContainer>
             </Card>
           </div>
@@ -690,7 +707,7 @@ export default function App() {
           <div style={{display:"grid", gridTemplateColumns:"1fr 280px", gap:16}}>
             <div style={{display:"flex", flexDirection:"column", gap:16}}>
 
-              <Card>
+              <Card exportAs={{name:"pitchfork", title:"Supercritical pitchfork k*/π vs ε"}}>
                 <SecLabel color={C.amber}>Fig 1 — Supercritical Pitchfork: k*/π vs ε (Thm 6.1)</SecLabel>
                 <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:12}}>
                   Below εc: unique stable fixed point k*=π (Néel AFM, cyan). At εc: Z₂ symmetry breaks.
@@ -721,12 +738,17 @@ export default function App() {
                         dot={false} name="+k*/π (incommensurate)" connectNulls={false}/>
                       <Line type="monotone" dataKey="kMinus" stroke={C.green} strokeWidth={2.5}
                         dot={false} name="−k*/π (incommensurate)" connectNulls={false}/>
+                      {sweepPts.length > 0 && <Scatter data={sweepPts} dataKey="ks" fill={C.violet}
+                        name="±k_dom/π (sweep)" isAnimationActive={false}/>}
                       <Legend wrapperStyle={{fontSize:9,fontFamily:"monospace",paddingTop:8}}/>
                     </ComposedChart>
                   </ResponsiveContainer>
                 )}
               </Card>
 
+              <SweepPanel ec={ec} task={sweep} stale={sweepStale}
+                onRun={opts=>setSweepArgs({A, B, seed, init, kernel, ...opts})}/>
+
               {/* k* formula verification */}
               {ec && eps>ec && kStar && (
                 <Card>
@@ -790,7 +812,7 @@ export default function App() {
           <div style={{display:"grid", gridTemplateColumns:"1fr 280px", gap:16}}>
             <div style={{display:"flex", flexDirection:"column", gap:16}}>
 
-              <Card>
+              <Card exportAs={{name:"curvature", title:"g″(π,ε) vs ε"}}>
                 <SecLabel color={C.violet}>Thm 5.1 — g″(π,ε) = A/(B−A) + 2ε/(1−2ε)  vs  ε</SecLabel>
                 <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:12}}>
                   Zero crossing at ε=εc signals the phase transition. Lemma 5.1: curvature of log|C cosk+D| at k=π
@@ -872,28 +894,59 @@ export default function App() {
         {tab==="phase" && (
           <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:16}}>
 
-            <Card>
-              <SecLabel color={C.amber}>Phase Diagram in (A, B) Plane at ε = {eps.toFixed(4)}</SecLabel>
+            <Card exportAs={{name:`phase-${pdPlane}`, kind:"canvas", title:"Phase diagram",
+              labels:{x:pdPlane === "AB" ? "A →" : "ε →", y:pdPlane === "epsA" ? "A →" : "B →"}}}>
+              <SecLabel color={C.amber}>{{
+                AB:`Phase Diagram in (A, B) Plane at ε = ${eps.toFixed(4)}`,
+                epsB:`Phase Diagram in (ε, B) Plane at A = ${A.toFixed(3)}`,
+                epsA:`Phase Diagram in (ε, A) Plane at B = ${B.toFixed(3)}`,
+              }[pdPlane]}{!isNearest(kernel) && " — Nearest-Neighbour Kernel"}</SecLabel>
+              <div style={{display:"flex", gap:4, marginBottom:8}}>
+                {[["AB","(A, B)"], ["epsB","(ε, B)"], ["epsA","(ε, A)"]].map(([p,label]) => (
+                  <button key={p} onClick={()=>setPdPlane(p)} style={{
+                    background:pdPlane===p?C.amberD+"60":C.bg, border:`1px solid ${pdPlane===p?C.amber:C.border2}`,
+                    color:pdPlane===p?C.amber:C.dim, borderRadius:5, padding:"3px 8px", cursor:"pointer",
+                    fontSize:8, fontFamily:"monospace"}}>{label}</button>
+                ))}
+              </div>
               <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:10}}>
                 Color key: <span style={{color:C.blueD}}>■ FM</span>{" "}(sgn A=sgn B),{" "}
                 <span style={{color:C.amberD}}>■ AFM</span>{" "}(frustrated, ε&lt;εc),{" "}
-                <span style={{color:C.greenD}}>■ Incomm.</span>{" "}(ε&gt;εc),{" "}
-                <span style={{color:C.roseD}}>■ Critical</span>{" "}(ε≈εc).
-                Axes: A∈[−2,2], B∈[−2,2]. White lines = coordinate axes.
-                Current (A,B) shown in controls.
+                {pdPlane === "AB" ? (
+                  <>
+                    <span style={{color:C.greenD}}>■ Incomm.</span>{" "}(ε&gt;εc),{" "}
+                    <span style={{color:C.roseD}}>■ Critical</span>{" "}(ε≈εc).
+                  </>
+                ) : <>Incomm. (ε&gt;εc) shaded by k*/π below.</>}
+                {" "}Dashed rose line = εc boundary, white lines = zero of each axis. The crosshair marks the
+                current point: click to select, scroll to zoom, drag to pan.
+                {!isNearest(kernel) && <span style={{color:C.rose}}> The colours, εc line and hover readout use the
+                  nearest-neighbour closed forms, not the active kernel (εc = {ec ? ec.toFixed(5) : "—"} in the header);
+                  its εc against one weight is on the Kernels tab.</span>}
               </div>
               <div style={{height:360, position:"relative"}}>
-                <PhaseDiagram eps={eps}/>
+                <PhaseDiagram plane={pdPlane} eps={eps} A={A} B={B} nnOnly={!isNearest(kernel)} onSelect={p=>{
+                  if (p.A !== undefined) setA(clampTo(RANGE.A, p.A));
+                  if (p.B !== undefined) setB(clampTo(RANGE.B, p.B));
+                  if (p.eps !== undefined) setEps(clampTo(RANGE.eps, p.eps));
+                }}/>
                 {/* Axis labels */}
                 <div style={{position:"absolute",bottom:4,left:"50%",transform:"translateX(-50%)",
-                  fontSize:9,color:C.dim,fontFamily:"monospace"}}>A →</div>
+                  fontSize:9,color:C.dim,fontFamily:"monospace",pointerEvents:"none"}}>{pdPlane === "AB" ? "A" : "ε"} →</div>
                 <div style={{position:"absolute",top:"50%",left:4,transform:"translateY(-50%) rotate(-90deg)",
-                  fontSize:9,color:C.dim,fontFamily:"monospace"}}>B →</div>
+                  fontSize:9,color:C.dim,fontFamily:"monospace",pointerEvents:"none"}}>{pdPlane === "epsA" ? "A" : "B"} →</div>
               </div>
+              {pdPlane !== "AB" && <div style={{marginTop:8}}><KStarColorBar/></div>}
               <div style={{marginTop:10, fontSize:9, color:C.dim, lineHeight:1.7}}>
-                The frustrated region (sgn A ≠ sgn B) occupies quadrants II and IV (A&gt;0,B&lt;0 and A&lt;0,B&gt;0).
-                Within the frustrated region, the phase boundary (the critical line ε=εc(A,B)) separates AFM from Incommensurate.
-                This boundary moves as ε changes — drag the ε slider to see it shift.
+                {pdPlane === "AB" ? <>
+                  The frustrated region (sgn A ≠ sgn B) occupies quadrants II and IV (A&gt;0,B&lt;0 and A&lt;0,B&gt;0).
+                  Within the frustrated region, the phase boundary (the critical line ε=εc(A,B)) separates AFM from Incommensurate.
+                  This boundary moves as ε changes — drag the ε slider to see it shift.
+                </> : <>
+                  The εc curve is εc = A/[2(2A−B)] along the {pdPlane === "epsB" ? "B" : "A"} axis. Right of it k* leaves π
+                  continuously (pitchfork, k* → π as ε → εc⁺) and follows cos k* = −(A+2εB)/(4εA);
+                  the landscape shifts with {pdPlane === "epsB" ? "A" : "B"}.
+                </>}
               </div>
             </Card>
 
@@ -929,11 +982,11 @@ export default function App() {
               </Card>
 
               <Card>
-                <SecLabel>Tbl 3 — Benchmark εc Values</SecLabel>
+                <SecLabel>Tbl 3 — Benchmark εc Values · click a row to load it</SecLabel>
                 <table style={{width:"100%", borderCollapse:"collapse", fontFamily:"monospace", fontSize:9}}>
                   <thead>
                     <tr style={{borderBottom:`1px solid ${C.border2}`}}>
-                      {["Coin","A","B","εc"].map(h=>(
+                      {["Coin","A","B","εc","numerical"].map(h=>(
                         <th key={h} style={{padding:"5px 8px",textAlign:"left",color:C.dim,fontSize:8,textTransform:"uppercase"}}>{h}</th>
                       ))}
                     </tr>
@@ -945,19 +998,27 @@ export default function App() {
                       {coin:"A=0.8, B=−0.4", A:"0.8", B:"−0.4", ec:"0.2"},
                       {coin:"Pauli-X", A:"√2", B:"0", ec:"undefined (B=0)"},
                       {coin:"Pauli-Z / I", A:"0", B:"±1", ec:"undefined (A=0)"},
-                    ].map(({coin,A:a,B:b,ec:e,hi})=>(
-                      <tr key={coin} style={{borderBottom:`1px solid ${C.border}`,
+                    ].map(({coin,A:a,B:b,ec:e,hi},i)=>(
+                      <tr key={coin} onClick={()=>applyPreset(BENCHMARK_PRESETS[i].config)} title="Load A, B"
+                        style={{borderBottom:`1px solid ${C.border}`, cursor:"pointer",
                         background:hi?C.amberD+"15":undefined}}>
                         <td style={{padding:"6px 8px",color:hi?C.amber:C.text}}>{coin}</td>
                         <td style={{padding:"6px 8px",color:C.dim}}>{a}</td>
                         <td style={{padding:"6px 8px",color:C.dim}}>{b}</td>
                         <td style={{padding:"6px 8px",color:hi?C.amber:C.text}}>{e}</td>
+                        <td style={{padding:"6px 8px",color:C.dimL}}>{benchmarkSolved[i]}</td>
                       </tr>
                     ))}
                   </tbody>
                 </table>
+                <div style={{fontSize:8, color:C.dim, marginTop:8, lineHeight:1.6}}>
+                  numerical: the ε at which k=π stops being the global maximum of |λ(k)| (solveCritical). It differs
+                  from εc when another mode overtakes π first — a first-order jump the sign rules do not see.
+                </div>
               </Card>
             </div>
+
+            <SimPhaseMap task={phaseMap} stale={phaseMapStale} A={A} eps={eps} onRun={setPhaseMapArgs}/>
           </div>
         )}
 
@@ -968,7 +1029,7 @@ export default function App() {
             <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:16}}>
 
               {/* k*(ε) continuous evolution */}
-              <Card>
+              <Card exportAs={{name:"kstar-eps", title:"k*(ε)/π"}}>
                 <SecLabel color={C.green}>k*(ε)/π — Continuous Mode Evolution (Cor. 6.1)</SecLabel>
                 <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:10}}>
                   k*(ε) decreases continuously from π at ε=εc toward arccos(−B/2A) as ε→∞.
@@ -996,12 +1057,13 @@ export default function App() {
               </Card>
 
               {/* Correlation length */}
-              <Card>
+              <Card exportAs={{name:"xi-eps", title:"Correlation length ξ"}}>
                 <SecLabel color={C.violet}>Correlation Length  ξ ~ |ε−εc|^(−1/2)  (ν=1/2)</SecLabel>
                 <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:10}}>
-                  Mean-field exponent ν=1/2 is exact due to infinite-range projective constraint.
-                  Symmetric divergence on both sides confirms continuous second-order transition.
-                  ξ = 1/Δk ~ 1/√|ε−εc|.
+                  Mean-field prediction ν=1/2: ξ = √|c₄/c₂| from g(π+δ) ≈ g(π) + c₂δ² + c₄δ⁴, with c₂ ∝ ε−εc.
+                  This curve is that formula evaluated at each ε, not a measurement.
+                  {scaling.result?.above && !scalingStale &&
+                    ` Measured from evolved states above εc (panel below, T=${scaling.result.T}): ν = ${scaling.result.above.nu.toFixed(3)} ± ${scaling.result.above.err.toFixed(3)}.`}
                 </div>
                 {!ec?<div style={{color:C.rose}}>Set frustrated parameters.</div>:(
                   <ResponsiveContainer width="100%" height={240}>
@@ -1010,13 +1072,13 @@ export default function App() {
                       <XAxis dataKey="de" type="number" stroke={C.dim} tick={{fontSize:8,fill:C.dim}}
                         label={{value:"ε − εc",position:"insideBottom",offset:-10,fill:C.dim,fontSize:10}}/>
                       <YAxis stroke={C.dim} tick={{fontSize:8,fill:C.dim}}
-                        label={{value:"ξ (arb.)",angle:-90,position:"insideLeft",fill:C.dim,fontSize:10}}/>
+                        label={{value:"ξ (sites)",angle:-90,position:"insideLeft",fill:C.dim,fontSize:10}}/>
                       <Tooltip contentStyle={tt} formatter={v=>[v?.toFixed(3),"ξ"]}
                         labelFormatter={v=>`ε−εc=${(+v).toFixed(4)}`}/>
                       <ReferenceLine x={0} stroke={C.rose} strokeWidth={2} strokeDasharray="6 3"
                         label={{value:"εc",fill:C.rose,fontSize:10}}/>
                       <Line type="monotone" dataKey="xi" stroke={C.violet} strokeWidth={2.5}
-                        dot={false} name="ξ ~ |ε−εc|^(−1/2)"/>
+                        dot={false} name="ξ = √|c₄/c₂|"/>
                       <Legend wrapperStyle={{fontSize:9,fontFamily:"monospace",paddingTop:8}}/>
                     </LineChart>
                   </ResponsiveContainer>
@@ -1024,8 +1086,11 @@ export default function App() {
               </Card>
             </div>
 
+            {ec && <ScalingPanel task={scaling} stale={scalingStale}
+              onRun={opts=>setScalingArgs({A, B, kernel, ...opts})}/>}
+
             {/* ANNNI mapping */}
-            <Card>
+            <Card exportAs={{name:"annni", title:"ANNNI mapping κeff"}}>
               <SecLabel color={C.amber}>§9.1 — ANNNI Mapping: κeff = J²eff/J¹eff = εA/(A+εB)</SecLabel>
               <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:14}}>
                 The ANNNI Lifshitz point at κ=1/2 exactly coincides with εc: κ(εc) = εcA/(A+εcB) = 1/2.
@@ -1070,18 +1135,29 @@ export default function App() {
           </div>
         )}
 
+        {/* ══ KERNELS TAB ══════════════════════════════════════════════ */}
+        {tab==="kernel" && <KernelTab A={A} B={B} eps={eps} kernel={kernel} onKernel={setKernel}/>}
+
+        {/* ══ 2D LATTICE TAB ═══════════════════════════════════════════ */}
+        {tab==="2d" && <Lattice2DTab A={A} B={B} eps={eps} seed={seed}/>}
+
+        {/* ══ QUANTUM WALK TAB ═════════════════════════════════════════ */}
+        {tab==="qw" && <QuantumWalkTab eps={eps} L={L} T={T} seed={seed} init={init} bc={bc}
+          onApply={(a,b)=>{ setA(clampTo(RANGE.A, a)); setB(clampTo(RANGE.B, b)); }}/>}
+
       </div>
 
       {/* FOOTER */}
       <div style={{borderTop:`1px solid ${C.border}`, padding:"8px 26px", display:"flex",
         justifyContent:"space-between", alignItems:"center"}}>
         <span style={{fontSize:8,letterSpacing:"0.14em",color:C.muted,textTransform:"uppercase"}}>
-          Frustrated CML · εc=A/[2(2A-B)] · cosk*=−(A+2εB)/(4εA) · ν=1/2 exact
+          Frustrated CML · εc=A/[2(2A-B)] · cosk*=−(A+2εB)/(4εA) · ν=1/2 (mean-field)
         </span>
         <span style={{fontSize:8,color:C.muted,fontFamily:"monospace"}}>
-          L={L} · T={T} · A={A.toFixed(3)} · B={B.toFixed(3)} · ε={eps.toFixed(4)}
+          L={L} ({bc}) · T={T} · seed={seed} · A={A.toFixed(3)} · B={B.toFixed(3)} · ε={eps.toFixed(4)}
         </span>
       </div>
     </div>
+    </ExportContext.Provider>
   );
 }
\ No newline at end of file
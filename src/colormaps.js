@@ -0,0 +1,44 @@
+
+// ── Colormaps ────────────────────────────────────────────────────────
+// RdBu diverging centered at 0
+export const divColor = (v, scale) => {
+  const t = Math.max(-1, Math.min(1, v/Math.max(scale, 1e-9)));
+  if (t >= 0) {
+    // positive: dark → amber/orange
+    const r = Math.round(255*Math.min(1, 0.2 + 1.5*t));
+    const g = Math.round(255*Math.min(1, 0.3*t));
+    const b = Math.round(20);
+    return [r, g, b];
+  } else {
+    // negative: dark → cyan/blue
+    const s = -t;
+    const r = Math.round(20);
+    const g = Math.round(255*Math.min(1, 0.5*s));
+    const b = Math.round(255*Math.min(1, 0.2 + 1.5*s));
+    return [r, g, b];
+  }
+};
+
+// Power spectrum colormap (black → violet → white)
+export const specColor = (v, maxV) => {
+  const t = Math.min(1, v/Math.max(maxV, 1e-9));
+  const r = Math.round(255*Math.pow(t, 0.5));
+  const g = Math.round(255*Math.pow(t, 0.8)*0.3);
+  const b = Math.round(255*Math.min(1, t*1.2));
+  return [r, g, b];
+};
+
+// Cyclic hue wheel for a phase angle in (−π, π]; the scale is ignored
+export const phaseHue = v => {
+  const h = ((v/(2*Math.PI)) % 1 + 1) % 1 * 6;
+  const f = h - Math.floor(h), q = Math.round(255*(1-f)), p = Math.round(255*f);
+  return [[255,p,0], [q,255,0], [0,255,p], [0,q,255], [p,0,255], [255,0,q]][Math.floor(h) % 6];
+};
+
+// Sequential dark violet → teal → yellow for t in [0, 1] (k*/π)
+const KSTAR_STOPS = [[48,18,84], [59,82,139], [33,145,140], [94,201,98], [253,231,37]];
+export const kStarColor = t => {
+  const x = Math.max(0, Math.min(1, t))*(KSTAR_STOPS.length-1), i = Math.min(Math.floor(x), KSTAR_STOPS.length-2);
+  const f = x-i, a = KSTAR_STOPS[i], b = KSTAR_STOPS[i+1];
+  return a.map((v,j) => Math.round(v + f*(b[j]-v)));
+};
@@ -0,0 +1,44 @@
+import { C } from "../theme.js";
+import { BOUNDARIES, modeGrid } from "../engine/index.js";
+import { SecLabel, Stat } from "./ui.jsx";
+
+const LABELS = {periodic:"Periodic", antiperiodic:"Antiperiodic", open:"Open", fixed:"Fixed", reflecting:"Reflecting"};
+
+const NOTES = {
+  periodic:"Ring: ψ₋₁ = ψ_{L−1}. Plane waves, k = 2πn/L.",
+  antiperiodic:"Twist π: ψ₋₁ = −ψ_{L−1}. Half-integer modes k = (2n+1)π/L — k = 0 is excluded, k = π only for odd L.",
+  open:"Missing end bonds: ψ₋₁ = ψ_L = 0. Sine modes sin(k(i+1)), k = πn/(L+1).",
+  fixed:"End sites pinned, ψ₀ = ψ_{L−1} = 0. Sine modes sin(ki) on the interior, k = πn/(L−1).",
+  reflecting:"Mirror ends: ψ₋₁ = ψ₀. Cosine modes cos(k(i+½)), k = πn/L.",
+};
+
+// ── Boundary condition chooser with the allowed-k grid ──────────────
+// The selected pattern can only sit on a grid mode: the one nearest k*
+// (or π below εc) is where an incommensurate state gets pinned.
+export function BoundaryControls({bc, onChange, L, kTarget}) {
+  const g = modeGrid(L, bc);
+  const j = kTarget !== null ? Math.max(0, Math.min(g.count-1, Math.round((kTarget-g.k0)/g.dk))) : null;
+  const kPin = j !== null ? g.k0 + j*g.dk : null;
+
+  return (
+    <div>
+      <SecLabel>Boundary Condition</SecLabel>
+      <div style={{display:"flex", flexWrap:"wrap", gap:4, marginBottom:8}}>
+        {BOUNDARIES.map(b => (
+          <button key={b} onClick={()=>onChange(b)} style={{
+            background:bc===b?C.cyanD+"60":C.bg, border:`1px solid ${bc===b?C.cyan:C.border2}`,
+            color:bc===b?C.cyan:C.dim, borderRadius:5, padding:"3px 8px", cursor:"pointer",
+            fontSize:8, fontFamily:"monospace"}}>{LABELS[b]}</button>
+        ))}
+      </div>
+      <div style={{fontSize:8, color:C.dim, lineHeight:1.6, marginBottom:8}}>{NOTES[bc]}</div>
+      <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:6}}>
+        <Stat small label="modes in [0,π]" value={g.count} color={C.cyan}/>
+        <Stat small label="spacing Δk/π" value={(g.dk/Math.PI).toFixed(5)} color={C.cyan}/>
+        <Stat small label="pinned k/π" value={kPin !== null ? (kPin/Math.PI).toFixed(5) : "—"} color={C.green}/>
+        <Stat small label="k_pin − k_target" value={kPin !== null ? `${((kPin-kTarget)/Math.PI).toExponential(1)}π` : "—"}
+          color={C.dimL}/>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import { useContext, useState } from "react";
+import { C } from "../theme.js";
+import { ExportContext, exportFigure } from "../export.js";
+
+const btn = {
+  background:C.bg, border:`1px solid ${C.border2}`, color:C.dimL, borderRadius:4,
+  padding:"1px 6px", cursor:"pointer", fontSize:8, fontFamily:"monospace",
+};
+
+// ── Per-panel export buttons (top-right of a Card) ──────────────────
+// `target` is a ref to the panel; charts offer SVG and PNG, canvases PNG.
+// `params` adds to (or overrides) the app-wide parameters in the metadata.
+export function ExportButtons({target, name, kind="chart", title, labels, params:extra, style}) {
+  const ctx = useContext(ExportContext);
+  const params = {...ctx.params, ...extra}, {print} = ctx;
+  const [state, setState] = useState(null);
+  const run = format => {
+    setState("…");
+    exportFigure(target.current, {name, kind, title, labels, params, print}, format)
+      .then(() => setState(null), e => setState(e.message));
+  };
+  return (
+    <div style={{position:"absolute", top:10, right:12, display:"flex", gap:4, alignItems:"center", zIndex:2,
+      ...style}}>
+      {state && <span style={{fontSize:8, color:state === "…" ? C.dim : C.rose, fontFamily:"monospace"}}>{state}</span>}
+      {kind === "chart" && <button onClick={()=>run("svg")} style={btn} title="Export as SVG">⤓ SVG</button>}
+      <button onClick={()=>run("png")} style={btn} title="Export as high-resolution PNG">⤓ PNG</button>
+    </div>
+  );
+}
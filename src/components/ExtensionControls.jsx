@@ -0,0 +1,29 @@
+import { C } from "../theme.js";
+import { isLinear } from "../engine/index.js";
+import { SecLabel, Slider } from "./ui.jsx";
+
+// ── Nonlinear / stochastic terms (engine/extensions.js) ─────────────
+export function ExtensionControls({ext, onChange}) {
+  const set = patch => onChange({...ext, ...patch});
+  return (
+    <div>
+      <SecLabel>Beyond Linear Theory</SecLabel>
+      <div style={{fontSize:8, color:C.dim, lineHeight:1.6, marginBottom:8}}>
+        Applied to the rms-1 field φ = √L·ψ″/‖ψ″‖ before Step 4. Disorder is quenched per site;
+        noise and disorder are drawn from streams seeded by the run seed.
+      </div>
+      <div style={{display:"flex", flexDirection:"column", gap:6}}>
+        <Slider label="cubic g  (φ − gφ³)" value={ext.cubic} min={0} max={0.5} step={0.005} digits={3}
+          onChange={v=>set({cubic:v})} color={C.rose}/>
+        <Slider label="noise σ  (+σ·N(0,1))" value={ext.noise} min={0} max={1} step={0.005} digits={3}
+          onChange={v=>set({noise:v})} color={C.rose}/>
+        <Slider label="disorder δ  (A,B × (1+δη))" value={ext.disorder} min={0} max={0.5} step={0.005} digits={3}
+          onChange={v=>set({disorder:v})} color={C.rose}/>
+      </div>
+      <div style={{fontSize:8, fontFamily:"monospace", marginTop:6, color:isLinear(ext) ? C.muted : C.amber}}>
+        {isLinear(ext) ? "linear rule — Thm 5.2 / 6.1 apply exactly"
+          : "extended rule — real-space only; compare k with the linear prediction"}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { useEffect, useRef } from "react";
+import { C } from "../theme.js";
+import { SecLabel } from "./ui.jsx";
+
+// ── Canvas Heatmap ───────────────────────────────────────────────────
+export function Heatmap({data, height, colorFn, title, subtitle,
+  caption="t=0 (top) → t=T (bottom) · i=0…L-1 (left→right)", children}) {
+  const ref = useRef(null);
+  useEffect(() => {
+    if (!ref.current || !data || data.length === 0) return;
+    const canvas = ref.current;
+    const ctx = canvas.getContext("2d");
+    const T = data.length, L = data[0].length;
+    canvas.width = L; canvas.height = T;
+    // Find scale
+    let maxAbs = 0;
+    for (const row of data) for (const v of row) maxAbs = Math.max(maxAbs, Math.abs(v));
+    const img = ctx.createImageData(L, T);
+    for (let t = 0; t < T; t++) {
+      for (let i = 0; i < L; i++) {
+        const [r,g,b] = colorFn(data[t][i], maxAbs);
+        const idx = (t*L + i)*4;
+        img.data[idx]=r; img.data[idx+1]=g; img.data[idx+2]=b; img.data[idx+3]=255;
+      }
+    }
+    ctx.putImageData(img, 0, 0);
+    // Stretch to display size
+    const disp = ref.current.parentElement;
+    if (disp) {
+      ref.current.style.width = "100%";
+      ref.current.style.height = height+"px";
+      ref.current.style.imageRendering = "pixelated";
+    }
+  }, [data, colorFn, height]);
+
+  return (
+    <div>
+      {title && <SecLabel>{title}</SecLabel>}
+      {subtitle && <div style={{fontSize:9, color:C.dim, marginBottom:8}}>{subtitle}</div>}
+      <div style={{position:"relative", height, background:C.bg, borderRadius:6, overflow:"hidden",
+        border:`1px solid ${C.border}`}}>
+        <canvas ref={ref} style={{display:"block", width:"100%", height:"100%", imageRendering:"pixelated"}}/>
+        {children}
+        <div style={{position:"absolute", bottom:4, left:8, fontSize:8, fontFamily:"monospace", color:C.dimL}}>
+          {caption}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { useEffect, useRef, useState } from "react";
+import { C } from "../theme.js";
+import { INIT_KINDS, parseProfile, snapK } from "../engine/index.js";
+import { SecLabel, Slider } from "./ui.jsx";
+
+const LABELS = {
+  random:"Random noise", delta:"Single-site δ", plane:"Plane wave",
+  afm:"Staggered + noise", packet:"Gaussian packet", custom:"Drawn / pasted",
+};
+
+const NOTES = {
+  random:"Uniform noise from rng(seed) — every mode seeded.",
+  delta:"ψᵢ = δᵢ,L/2 → the heatmap shows the lattice Green's function.",
+  plane:"Pure mode cos(ki), k snapped to the ring grid 2πn/L. Tests g(k) mode by mode.",
+  afm:"(−1)ⁱ plus small seeded noise — start on the k=π Néel state.",
+  packet:"Gaussian envelope × cos(k(i−L/2)) — tracks spreading of a localized mode.",
+  custom:"Drag on the strip to draw, or paste numbers below (resampled to L sites).",
+};
+
+const DRAW_N = 64;
+
+// ── Free-hand profile strip: drag to draw, committed on release ─────
+function ProfileDraw({profile, onChange}) {
+  const ref = useRef(null);
+  const [pts, setPts] = useState(null);
+  const drawing = pts ?? (profile.length ? profile : new Array(DRAW_N).fill(0));
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    const W = canvas.width = canvas.clientWidth || 240, H = canvas.height = 70;
+    const maxAbs = Math.max(1e-9, ...drawing.map(Math.abs));
+    ctx.fillStyle = C.bg; ctx.fillRect(0, 0, W, H);
+    ctx.strokeStyle = C.border2; ctx.beginPath(); ctx.moveTo(0, H/2); ctx.lineTo(W, H/2); ctx.stroke();
+    ctx.strokeStyle = C.violet; ctx.lineWidth = 1.5; ctx.beginPath();
+    drawing.forEach((v,j) => {
+      const x = j*W/Math.max(drawing.length-1, 1), y = H/2 - (v/maxAbs)*(H/2-4);
+      if (j) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+    });
+    ctx.stroke();
+  }, [drawing]);
+
+  const paint = e => {
+    if (e.buttons !== 1) return;
+    const r = ref.current.getBoundingClientRect();
+    const j = Math.round(((e.clientX-r.left)/r.width)*(DRAW_N-1));
+    const v = 1 - 2*(e.clientY-r.top)/r.height;
+    if (j < 0 || j >= DRAW_N) return;
+    setPts(prev => {
+      const base = prev ?? (profile.length === DRAW_N ? profile : new Array(DRAW_N).fill(0));
+      const next = base.slice();
+      next[j] = Math.max(-1, Math.min(1, v));
+      return next;
+    });
+  };
+  const release = () => { if (pts) { onChange(pts); setPts(null); } };
+
+  return (
+    <canvas ref={ref} onPointerDown={paint} onPointerMove={paint} onPointerUp={release} onPointerLeave={release}
+      style={{width:"100%", height:70, display:"block", cursor:"crosshair", touchAction:"none",
+        borderRadius:6, border:`1px solid ${C.border}`}}/>
+  );
+}
+
+// ── Initial-condition chooser ────────────────────────────────────────
+export function InitControls({init, onChange, L}) {
+  const [paste, setPaste] = useState(null);
+  const set = patch => onChange({...init, ...patch});
+  const hasK = init.kind === "plane" || init.kind === "packet";
+
+  return (
+    <div>
+      <SecLabel>Initial Condition ψ(0)</SecLabel>
+      <div style={{display:"flex", flexWrap:"wrap", gap:4, marginBottom:8}}>
+        {INIT_KINDS.map(k => (
+          <button key={k} onClick={()=>set({kind:k})} style={{
+            background:init.kind===k?C.violetD+"60":C.bg, border:`1px solid ${init.kind===k?C.violet:C.border2}`,
+            color:init.kind===k?C.violet:C.dim, borderRadius:5, padding:"3px 8px", cursor:"pointer",
+            fontSize:8, fontFamily:"monospace"}}>{LABELS[k]}</button>
+        ))}
+      </div>
+      <div style={{fontSize:8, color:C.dim, lineHeight:1.6, marginBottom:8}}>{NOTES[init.kind]}</div>
+
+      {hasK && (
+        <>
+          <Slider label="k/π (carrier)" value={init.kPi} min={0} max={1} step={0.005} digits={3}
+            onChange={v=>set({kPi:v})} color={C.violet}/>
+          {init.kind === "plane" && (
+            <div style={{fontSize:8, color:C.dimL, fontFamily:"monospace", marginTop:4}}>
+              seeded mode: k/π = {(snapK(init.kPi, L)/Math.PI).toFixed(4)}
+            </div>
+          )}
+        </>
+      )}
+      {init.kind === "packet" && (
+        <div style={{marginTop:6}}>
+          <Slider label="σ (sites)" value={init.sigma} min={1} max={Math.max(2, Math.floor(L/4))} step={0.5} digits={1}
+            onChange={v=>set({sigma:v})} color={C.violet}/>
+        </div>
+      )}
+      {init.kind === "afm" && (
+        <Slider label="noise amplitude" value={init.noise} min={0} max={0.5} step={0.005} digits={3}
+          onChange={v=>set({noise:v})} color={C.violet}/>
+      )}
+      {init.kind === "custom" && (
+        <div style={{display:"flex", flexDirection:"column", gap:6}}>
+          <ProfileDraw profile={init.profile} onChange={profile=>set({profile})}/>
+          <textarea rows={2} placeholder="0 0.5 1 0.5 0 −0.5 …" spellCheck={false}
+            value={paste ?? init.profile.map(v=>+v.toFixed(4)).join(" ")}
+            onChange={e=>setPaste(e.target.value)}
+            onBlur={()=>{ if (paste !== null) set({profile:parseProfile(paste.replace(/−/g, "-"))}); setPaste(null); }}
+            style={{width:"100%", boxSizing:"border-box", resize:"vertical", background:C.bg, color:C.text,
+              border:`1px solid ${C.border2}`, borderRadius:4, fontFamily:"monospace", fontSize:9, padding:"4px 6px"}}/>
+          <div style={{fontSize:8, color:C.muted, fontFamily:"monospace"}}>
+            {init.profile.length} points → {L} sites
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+import { useMemo, useState } from "react";
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Legend,
+} from "recharts";
+import { C, tt } from "../theme.js";
+import {
+  NN_KERNEL, KERNEL_MAX_RANGE, isNearest, gRate, gRateKernel, computeEc, criticalKernel, piSeries,
+  kStarOfKernel, classifyPhaseKernel, argmaxKernel, lifshitzCurve,
+} from "../engine/index.js";
+import { Card, SecLabel, Stat, Slider } from "./ui.jsx";
+
+const KERNEL_PRESETS = [
+  {label:"nearest neighbour", kernel:NN_KERNEL},
+  {label:"ANNNI-like v₂ = −0.2", kernel:{hop:[1], couple:[1, -0.2]}},
+  {label:"3rd-neighbour v₃ = −0.15", kernel:{hop:[1], couple:[1, 0, -0.15]}},
+  {label:"3rd-neighbour hop w₃ = 0.2", kernel:{hop:[1, 0, 0.2], couple:[1]}},
+];
+const SUB = ["₁", "₂", "₃", "₄"];
+
+const pad = (w, R) => Array.from({length:R}, (_,i) => w?.[i] ?? 0);
+const btn = on => ({
+  background:on?C.cyanD+"60":C.bg, border:`1px solid ${on?C.cyan:C.border2}`,
+  color:on?C.cyan:C.dim, borderRadius:5, padding:"3px 8px", cursor:"pointer", fontSize:8, fontFamily:"monospace",
+});
+
+// ── Longer-range kernels: editor, generalised εc and k*, Lifshitz curve ─
+export function KernelTab({A, B, eps, kernel, onKernel}) {
+  const R = Math.max(kernel.hop.length, kernel.couple.length);
+  const setRange = r => onKernel({hop:pad(kernel.hop, r), couple:pad(kernel.couple, r)});
+  const setWeight = (which, r, v) => onKernel({...kernel, [which]:pad(kernel[which], R).map((x,i) => i === r ? v : x)});
+
+  // Weight swept by the εc curve; defaults to the outermost coupling term
+  const [sweep, setSweep] = useState({which:"couple", r:3});
+
+  const crit = useMemo(() => criticalKernel(A, B, kernel), [A, B, kernel]);
+  const ecNN = computeEc(A, B);
+  const series = useMemo(() => piSeries(A, B, eps, kernel), [A, B, eps, kernel]);
+  const kStar = kStarOfKernel(A, B, eps, kernel);
+  const phase = classifyPhaseKernel(A, B, eps, kernel);
+
+  const gData = useMemo(() => Array.from({length:301}, (_,i) => {
+    const k = i/300*Math.PI;
+    const g = gRateKernel(k, A, B, eps, kernel), g0 = gRate(k, A, B, eps);
+    return {kpi:+(k/Math.PI).toFixed(4), g:isFinite(g) ? +g.toFixed(5) : null, g0:isFinite(g0) ? +g0.toFixed(5) : null};
+  }), [A, B, eps, kernel]);
+
+  const epsTop = Math.min(Math.max(3*(crit?.ec ?? 0), 0.5), 2);
+  const kData = useMemo(() => Array.from({length:201}, (_,i) => {
+    const e = epsTop*i/200;
+    return {eps:+e.toFixed(4), k:+(argmaxKernel(A, B, e, kernel)/Math.PI).toFixed(5),
+      k0:+(argmaxKernel(A, B, e, NN_KERNEL)/Math.PI).toFixed(5)};
+  }), [A, B, kernel, epsTop]);
+
+  const curve = useMemo(() => lifshitzCurve(A, B, kernel, {...sweep, n:41}).map(p => ({
+    x:+p.x.toFixed(3),
+    cont:p.ec !== null && !p.jump ? +p.ec.toFixed(5) : null,
+    first:p.ec !== null && p.jump ? +p.ec.toFixed(5) : null,
+    local:p.local !== null ? +p.local.toFixed(5) : null,
+  })), [A, B, kernel, sweep]);
+  const current = pad(kernel[sweep.which], sweep.r)[sweep.r-1];
+
+  return (
+    <div style={{display:"flex", flexDirection:"column", gap:16}}>
+      <Card>
+        <SecLabel color={C.cyan}>Coupling Kernels — Range-r Steps 2 and 3</SecLabel>
+        <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:10}}>
+          U = (A/2)Σᵣ wᵣ(ψᵢ₋ᵣ+ψᵢ₊ᵣ) + Bψᵢ, ψ'' = U + εΣᵣ vᵣ(Uᵢ₋ᵣ+Uᵢ₊ᵣ), so
+          λ(k) = (A·Σwᵣcos rk + B)(1 + 2ε·Σvᵣcos rk). w = v = (1) is Def 2.2. The kernel applies to the
+          simulation, growth-rate, bifurcation, curvature and scaling tabs; the phase diagrams keep the
+          nearest-neighbour closed forms. εc is where k=π stops being the global maximum of |λ|: the
+          Lifshitz point g''(π)=0 when the transition is continuous, earlier when another mode overtakes π.
+        </div>
+        <div style={{display:"flex", gap:6, flexWrap:"wrap", alignItems:"center", marginBottom:10}}>
+          <span style={{fontSize:8, color:C.dim, fontFamily:"monospace"}}>range r ≤</span>
+          {Array.from({length:KERNEL_MAX_RANGE}, (_,i) => i+1).map(r => (
+            <button key={r} onClick={()=>setRange(r)} style={btn(R===r)}>{r}</button>
+          ))}
+          <span style={{fontSize:8, color:C.dim, fontFamily:"monospace", marginLeft:12}}>presets</span>
+          {KERNEL_PRESETS.map(p => (
+            <button key={p.label} onClick={()=>onKernel(p.kernel)}
+              style={btn(JSON.stringify(p.kernel) === JSON.stringify(kernel))}>{p.label}</button>
+          ))}
+        </div>
+        <div style={{display:"grid", gridTemplateColumns:`repeat(${R}, 1fr)`, gap:14}}>
+          {pad(kernel.hop, R).map((w,i) => (
+            <div key={i} style={{display:"flex", flexDirection:"column", gap:6}}>
+              <Slider label={`hop w${SUB[i]}`} value={w} min={-1.5} max={1.5} step={0.01} digits={2}
+                onChange={v=>setWeight("hop", i, v)} color={C.amber}/>
+              <Slider label={`couple v${SUB[i]}`} value={pad(kernel.couple, R)[i]} min={-1.5} max={1.5} step={0.01} digits={2}
+                onChange={v=>setWeight("couple", i, v)} color={C.green}/>
+            </div>
+          ))}
+        </div>
+      </Card>
+
+      <div style={{display:"grid", gridTemplateColumns:"repeat(6,1fr)", gap:8}}>
+        <Stat small label="εc (kernel)" value={crit ? crit.ec.toFixed(5) : "N/A"} color={C.rose}/>
+        <Stat small label="εc (nearest nbr.)" value={ecNN ? ecNN.toFixed(5) : "N/A"} color={C.dimL}/>
+        <Stat small label="transition" value={crit ? (crit.jump ? "first-order" : "continuous") : "—"}
+          color={crit?.jump ? C.amber : C.green}/>
+        <Stat small label="g''(π,ε) = 2c₂" value={isFinite(series.c2) ? (2*series.c2).toFixed(5) : "∞"}
+          color={series.c2>0 ? C.green : C.rose}/>
+        <Stat small label="c₄ at local εc" value={crit?.c4 != null ? crit.c4.toFixed(5) : "—"} color={C.violet}/>
+        <Stat small label={`k*/π · ${phase}`} value={kStar !== null ? (kStar/Math.PI).toFixed(5) : phase === "Ferromagnetic" ? "0" : "1"}
+          color={C.cyan}/>
+      </div>
+
+      <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:16}}>
+        <Card exportAs={{name:"kernel-growth", title:"Growth rate g(k,ε): kernel vs nearest neighbour"}}>
+          <SecLabel color={C.green}>Growth Rate g(k,ε) — Kernel vs Nearest Neighbour</SecLabel>
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart data={gData} margin={{top:8,right:20,bottom:36,left:20}}>
+              <CartesianGrid strokeDasharray="3 3" stroke={C.grid}/>
+              <XAxis dataKey="kpi" type="number" domain={[0,1]} stroke={C.dim}
+                tick={{fontSize:8,fill:C.dim}} tickFormatter={v=>`${v}π`}
+                label={{value:"Wavevector k/π", position:"insideBottom", offset:-10, fill:C.dim, fontSize:9}}/>
+              <YAxis stroke={C.dim} tick={{fontSize:8,fill:C.dim}} domain={["auto","auto"]}
+                label={{value:"g(k,ε)", angle:-90, position:"insideLeft", fill:C.dim, fontSize:9}}/>
+              <Tooltip contentStyle={tt} labelFormatter={v=>`k/π=${(+v).toFixed(4)}`}/>
+              {kStar !== null && <ReferenceLine x={kStar/Math.PI} stroke={C.green} strokeDasharray="4 3"
+                label={{value:"k*",fill:C.green,fontSize:9}}/>}
+              <Line type="monotone" dataKey="g0" dot={false} stroke={C.border2} strokeWidth={1.5} name="nearest neighbour"/>
+              <Line type="monotone" dataKey="g" dot={false} stroke={C.green} strokeWidth={2.5} name="kernel"/>
+              <Legend wrapperStyle={{fontSize:9,fontFamily:"monospace",paddingTop:8}}/>
+            </LineChart>
+          </ResponsiveContainer>
+        </Card>
+
+        <Card exportAs={{name:"kernel-kstar", title:"Selected mode k*(ε): kernel vs nearest neighbour"}}>
+          <SecLabel color={C.cyan}>Selected Mode argmax|λ| vs ε</SecLabel>
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart data={kData} margin={{top:8,right:20,bottom:36,left:20}}>
+              <CartesianGrid strokeDasharray="3 3" stroke={C.grid}/>
+              <XAxis dataKey="eps" type="number" domain={[0, epsTop]} stroke={C.dim} tick={{fontSize:8,fill:C.dim}}
+                label={{value:"Coupling ε", position:"insideBottom", offset:-10, fill:C.dim, fontSize:9}}/>
+              <YAxis stroke={C.dim} tick={{fontSize:8,fill:C.dim}} domain={[0,1]} tickFormatter={v=>`${v}π`}
+                label={{value:"k*/π", angle:-90, position:"insideLeft", fill:C.dim, fontSize:9}}/>
+              <Tooltip contentStyle={tt} labelFormatter={v=>`ε=${(+v).toFixed(4)}`}/>
+              {crit && <ReferenceLine x={crit.ec} stroke={C.rose} strokeDasharray="4 3"
+                label={{value:"εc",fill:C.rose,fontSize:9}}/>}
+              <ReferenceLine x={eps} stroke={C.amber} strokeDasharray="2 2"/>
+              <Line type="linear" dataKey="k0" dot={false} stroke={C.border2} strokeWidth={1.5} name="nearest neighbour"/>
+              <Line type="linear" dataKey="k" dot={false} stroke={C.cyan} strokeWidth={2.5} name="kernel"/>
+              <Legend wrapperStyle={{fontSize:9,fontFamily:"monospace",paddingTop:8}}/>
+            </LineChart>
+          </ResponsiveContainer>
+        </Card>
+      </div>
+
+      <Card exportAs={{name:"kernel-lifshitz", title:"Critical coupling vs kernel weight", params:{sweep:`${sweep.which}${sweep.r}`}}}>
+        <SecLabel color={C.rose}>Lifshitz Point vs One Weight</SecLabel>
+        <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:10}}>
+          εc as the chosen weight runs over [−1, 1], the rest of the kernel fixed. Solid green: continuous
+          onset at g''(π)=0 (c₄ &lt; 0). Amber: first-order — k* jumps away from π, either because another
+          mode overtakes it (dashed: the local point it never reaches) or because c₄ &gt; 0 there.
+        </div>
+        <div style={{display:"flex", gap:4, flexWrap:"wrap", marginBottom:10}}>
+          {["hop", "couple"].flatMap(which => Array.from({length:KERNEL_MAX_RANGE}, (_,i) => (
+            <button key={which+i} onClick={()=>setSweep({which, r:i+1})}
+              style={btn(sweep.which===which && sweep.r===i+1)}>{which === "hop" ? "w" : "v"}{SUB[i]}</button>
+          )))}
+        </div>
+        <ResponsiveContainer width="100%" height={260}>
+          <LineChart data={curve} margin={{top:8,right:20,bottom:36,left:20}}>
+            <CartesianGrid strokeDasharray="3 3" stroke={C.grid}/>
+            <XAxis dataKey="x" type="number" domain={[-1,1]} stroke={C.dim} tick={{fontSize:8,fill:C.dim}}
+              label={{value:`weight ${sweep.which === "hop" ? "w" : "v"}${SUB[sweep.r-1]}`, position:"insideBottom", offset:-10, fill:C.dim, fontSize:9}}/>
+            <YAxis stroke={C.dim} tick={{fontSize:8,fill:C.dim}}
+              label={{value:"εc", angle:-90, position:"insideLeft", fill:C.dim, fontSize:9}}/>
+            <Tooltip contentStyle={tt} labelFormatter={v=>`weight=${(+v).toFixed(3)}`}/>
+            <ReferenceLine x={current} stroke={C.amber} strokeDasharray="2 2"/>
+            <Line type="linear" dataKey="local" dot={false} stroke={C.dimL} strokeDasharray="4 3" strokeWidth={1} name="local (g''(π)=0)"/>
+            <Line type="linear" dataKey="cont" dot={false} stroke={C.green} strokeWidth={2.5} name="continuous"/>
+            <Line type="linear" dataKey="first" dot={false} stroke={C.amber} strokeWidth={2.5} name="first-order"/>
+            <Legend wrapperStyle={{fontSize:9,fontFamily:"monospace",paddingTop:8}}/>
+          </LineChart>
+        </ResponsiveContainer>
+        {!isNearest(kernel) && ecNN && crit && (
+          <div style={{fontSize:9, color:C.dimL, fontFamily:"monospace", marginTop:6}}>
+            current kernel moves εc by {(crit.ec-ecNN >= 0 ? "+" : "") + (crit.ec-ecNN).toFixed(5)} ({((crit.ec/ecNN-1)*100).toFixed(1)}%)
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { C } from "../theme.js";
+import { divColor, specColor } from "../colormaps.js";
+import { computeEc2d, kStarVectors2d, INIT_KINDS_2D } from "../engine/index.js";
+import { useWorkerTask } from "../hooks/useWorkerTask.js";
+import { Card, SecLabel, Stat, Slider, NumberField } from "./ui.jsx";
+import { ExportButtons } from "./ExportButtons.jsx";
+
+const LABELS = {random:"Random noise", delta:"Single-site δ", checker:"Checkerboard + noise", plane:"Plane wave + noise"};
+const DECADES = 8;
+
+// ── Square canvas image of a row-major W×H field ────────────────────
+// `shift` moves k=0 to the centre (FFT order → kx, ky ∈ [−π, π)).
+function FieldImage({data, W, H, color, shift=false, caption, children}) {
+  const ref = useRef(null);
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas || !data) return;
+    canvas.width = W; canvas.height = H;
+    const ctx = canvas.getContext("2d");
+    const img = ctx.createImageData(W, H);
+    const paint = color(data);
+    for (let y = 0; y < H; y++) for (let x = 0; x < W; x++) {
+      const sx = shift ? (x + Math.floor(W/2))%W : x, sy = shift ? (y + Math.floor(H/2))%H : y;
+      const [r,g,b] = paint(data[sy*W+sx]);
+      // flip y so +ky / +y points up
+      const o = ((H-1-y)*W + x)*4;
+      img.data[o]=r; img.data[o+1]=g; img.data[o+2]=b; img.data[o+3]=255;
+    }
+    ctx.putImageData(img, 0, 0);
+  }, [data, W, H, color, shift]);
+
+  return (
+    <div style={{position:"relative", aspectRatio:"1 / 1", background:C.bg, borderRadius:6, overflow:"hidden",
+      border:`1px solid ${C.border}`}}>
+      <canvas ref={ref} style={{display:"block", width:"100%", height:"100%", imageRendering:"pixelated"}}/>
+      {children}
+      <div style={{position:"absolute", bottom:4, left:8, fontSize:8, fontFamily:"monospace", color:C.dimL}}>{caption}</div>
+    </div>
+  );
+}
+
+const fieldColor = data => {
+  let m = 0;
+  for (const v of data) m = Math.max(m, Math.abs(v));
+  return v => divColor(v, m);
+};
+
+// log₁₀ power over DECADES below the frame maximum
+const logSpecColor = data => {
+  let m = 0;
+  for (const v of data) m = Math.max(m, v);
+  return v => specColor(Math.max(0, Math.log10(Math.max(v, 1e-300)/m) + DECADES), DECADES);
+};
+
+// Predicted contour c(kx,ky) = cos k* in the shifted, y-flipped image
+// frame; the ½ offsets land on pixel centres
+function StarRing({c, W, H}) {
+  const px = k => W/2 + 0.5 + k*W/(2*Math.PI), py = k => H/2 - 0.5 - k*H/(2*Math.PI);
+  const pts = [];
+  for (let i = 0; i <= 360; i++) {
+    const kx = -Math.PI + 2*Math.PI*i/360, cy = 2*c - Math.cos(kx);
+    if (Math.abs(cy) > 1) continue;
+    const ky = Math.acos(cy);
+    pts.push([px(kx), py(ky)], [px(kx), py(-ky)]);
+  }
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none"
+      style={{position:"absolute", inset:0, width:"100%", height:"100%", pointerEvents:"none"}}>
+      {pts.map(([x,y],i) => <circle key={i} cx={x} cy={y} r={W/160} fill={C.green} fillOpacity={0.7}/>)}
+    </svg>
+  );
+}
+
+// ── 2D lattice tab: snapshot, spectrum and time slider ──────────────
+export function Lattice2DTab({A, B, eps, seed}) {
+  const [N, setN] = useState(64);
+  const [T, setT] = useState(300);
+  const [init, setInit] = useState("random");
+  const [kxPi, setKxPi] = useState(0.5);
+  const [kyPi, setKyPi] = useState(1);
+
+  const args = useMemo(() => ({A, B, eps, W:N, H:N, T, seed, init, initOpts:{kxPi, kyPi}, frames:60}),
+    [A, B, eps, N, T, seed, init, kxPi, kyPi]);
+  const run = useWorkerTask("simulate2d", args);
+  const res = run.result;
+
+  // Frame choice belongs to the run it was made for; new runs show t=T
+  const [pick, setPick] = useState({res:null, i:0});
+  const last = res ? res.frames.length-1 : 0;
+  const idx = pick.res === res ? Math.min(pick.i, last) : last;
+  const frame = res?.frames[idx];
+  const psiRef = useRef(null), specRef = useRef(null);
+  const meta = {W:N, H:N, T, init};
+
+  const ec = computeEc2d(A, B);
+  const star = kStarVectors2d(A, B, eps);
+  const fmt = k => (k/Math.PI).toFixed(4);
+
+  return (
+    <div style={{display:"flex", flexDirection:"column", gap:16}}>
+      <Card>
+        <SecLabel color={C.violet}>2D Square Lattice — Def 2.2 on a W×W Torus</SecLabel>
+        <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:10}}>
+          U = (A/4)Σₙₙψ + Bψ, ψ'' = U + (ε/2)ΣₙₙU, then ψ → ψ''/‖ψ''‖. The symbol is
+          λ = (Ac+B)(1+2εc) with c = (cos kx + cos ky)/2, so εc = A/[2(2A−B)] as on the ring and the
+          AFM phase is the (π,π) checkerboard. Above εc every k on the contour c = cos k* grows at the same
+          rate: linear theory does not choose between stripes, diagonals and multi-q labyrinths — the initial
+          condition does.
+        </div>
+        <div style={{display:"flex", gap:14, flexWrap:"wrap", alignItems:"flex-end"}}>
+          <NumberField label="W = H" value={N} min={8} max={256} onChange={setN} color={C.violet}/>
+          <NumberField label="T steps" value={T} min={1} max={5000} onChange={setT} color={C.violet}/>
+          <div style={{display:"flex", gap:4, flexWrap:"wrap", marginBottom:16}}>
+            {INIT_KINDS_2D.map(k => (
+              <button key={k} onClick={()=>setInit(k)} style={{
+                background:init===k?C.violetD+"60":C.bg, border:`1px solid ${init===k?C.violet:C.border2}`,
+                color:init===k?C.violet:C.dim, borderRadius:5, padding:"3px 8px", cursor:"pointer",
+                fontSize:8, fontFamily:"monospace"}}>{LABELS[k]}</button>
+            ))}
+          </div>
+          {init === "plane" && (
+            <>
+              <Slider label="kx/π" value={kxPi} min={0} max={1} step={0.005} digits={3} onChange={setKxPi} color={C.violet}/>
+              <Slider label="ky/π" value={kyPi} min={0} max={1} step={0.005} digits={3} onChange={setKyPi} color={C.violet}/>
+            </>
+          )}
+        </div>
+      </Card>
+
+      <div style={{display:"grid", gridTemplateColumns:"repeat(6,1fr)", gap:8}}>
+        <Stat small label="εc (2D)" value={ec ? ec.toFixed(5) : "N/A"} color={C.rose}/>
+        <Stat small label="c* = cos k*" value={star ? star.c.toFixed(4) : "— (π,π)"} color={C.green}/>
+        <Stat small label="axial k*/π" value={star ? `(${fmt(star.axial[0])}, 1)` : "—"} color={C.green}/>
+        <Stat small label="diagonal k*/π" value={star ? `(${fmt(star.diagonal[0])}, ${fmt(star.diagonal[1])})` : "—"} color={C.green}/>
+        <Stat small label="peak (kx,ky)/π" value={frame ? `(${frame.kxPi.toFixed(3)}, ${frame.kyPi.toFixed(3)})` : "—"} color={C.violet}/>
+        <Stat small label="pattern" value={frame ? `${frame.label} · ${frame.pairs}q` : "—"} color={C.amber}/>
+      </div>
+
+      {run.error && <div style={{color:C.rose, fontSize:10}}>{run.error}</div>}
+      {frame && (
+        <Card>
+          <Slider label={`frame · t = ${frame.t}`} value={idx} min={0} max={last} step={1} digits={0}
+            onChange={i=>setPick({res, i})} color={C.amber}/>
+          <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:16, marginTop:10}}>
+            <div ref={psiRef} style={{position:"relative"}}>
+              <ExportButtons target={psiRef} name="field2d" kind="canvas" title={`ψ(x, y) at t = ${frame.t}`}
+                labels={{x:"x →", y:"y →"}} params={meta} style={{top:-4, right:0}}/>
+              <SecLabel>ψ(x, y, t)</SecLabel>
+              <FieldImage data={frame.psi} W={res.W} H={res.H} color={fieldColor}
+                caption={`x → · y ↑ · ${res.W}×${res.H}`}/>
+            </div>
+            <div ref={specRef} style={{position:"relative"}}>
+              <ExportButtons target={specRef} name="spectrum2d" kind="canvas" title={`log P(kx, ky) at t = ${frame.t}`}
+                labels={{x:"kx →", y:"ky →"}} params={meta} style={{top:-4, right:0}}/>
+              <SecLabel>log P(kx, ky) — {DECADES} decades, green: predicted k* contour</SecLabel>
+              <FieldImage data={frame.P} W={res.W} H={res.H} color={logSpecColor} shift
+                caption="kx, ky ∈ [−π, π) · (0,0) centre">
+                {star && <StarRing c={star.c} W={res.W} H={res.H}/>}
+              </FieldImage>
+            </div>
+          </div>
+          {run.pending && <div style={{fontSize:9, color:C.dim, marginTop:6}}>running…</div>}
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import { C } from "../theme.js";
+
+const SPEEDS = [1, 2, 5, 10, 25, 50];
+
+const btn = (active, color=C.violet) => ({
+  background:active?color+"30":C.bg, border:`1px solid ${active?color:C.border2}`,
+  color:active?color:C.dim, borderRadius:5, padding:"3px 9px", cursor:"pointer",
+  fontSize:9, fontFamily:"monospace",
+});
+
+// ── Batch / Live switch, batch propagator and live transport ────────
+export function LiveControls({live, onLive, stream, window, method, onMethod}) {
+  return (
+    <div style={{display:"flex", gap:6, alignItems:"center", flexWrap:"wrap", marginBottom:10}}>
+      <button onClick={()=>onLive(false)} style={btn(!live, C.amber)}>Batch</button>
+      <button onClick={()=>onLive(true)} style={btn(live, C.green)}>Live</button>
+      {!live && (
+        <>
+          <span style={{width:1, height:16, background:C.border2, margin:"0 4px"}}/>
+          <button onClick={()=>onMethod("real")} style={btn(method==="real")}
+            title="Iterate caStep in real space">real-space</button>
+          <button onClick={()=>onMethod("spectral")} style={btn(method==="spectral")}
+            title="Exact Fourier propagator: jump straight to each saved time">spectral</button>
+        </>
+      )}
+      {live && stream.frame && (
+        <>
+          <span style={{width:1, height:16, background:C.border2, margin:"0 4px"}}/>
+          <button onClick={stream.toggle} style={btn(stream.playing, C.green)}>
+            {stream.playing ? "⏸ pause" : "▶ play"}
+          </button>
+          <button onClick={stream.step} style={btn(false)}>+1 step</button>
+          <button onClick={stream.reset} style={btn(false)}>⟲ reset</button>
+          <span style={{fontSize:8, color:C.dim, fontFamily:"monospace", marginLeft:4}}>steps/frame</span>
+          {SPEEDS.map(s => (
+            <button key={s} onClick={()=>stream.setSpeed(s)} style={btn(stream.speed===s)}>{s}</button>
+          ))}
+          <span style={{fontSize:10, color:C.white, fontFamily:"monospace", marginLeft:8}}>
+            t = {stream.frame.t}
+          </span>
+          <span style={{fontSize:8, color:C.dim, fontFamily:"monospace"}}>(window {window})</span>
+        </>
+      )}
+    </div>
+  );
+}
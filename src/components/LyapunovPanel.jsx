@@ -0,0 +1,124 @@
+import { useMemo } from "react";
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Legend,
+} from "recharts";
+import { C, tt } from "../theme.js";
+import { gapTheory, lyapunovStats, modeGrid } from "../engine/index.js";
+import { Card, SecLabel, Stat } from "./ui.jsx";
+
+const GAP_POINTS = 160;
+const fmtE = v => v === null || !isFinite(v) ? "—" : Math.abs(v) < 1e-3 ? v.toExponential(3) : v.toFixed(5);
+
+// ── Top Lyapunov exponent, spectral gap and critical slowing down ────
+// `series` holds the lyapunov.js samples of the current run or stream.
+export function LyapunovPanel({series, A, B, eps, L, bc, kernel, ec, linear}) {
+  const theory = useMemo(() => gapTheory(A, B, eps, L, bc, kernel), [A, B, eps, L, bc, kernel]);
+  const stats = useMemo(() => lyapunovStats(series), [series]);
+
+  const last = [...series].reverse().find(p => p.ratio !== null);
+
+  // Are the two top bins the predicted leading pair? A third mode that
+  // started ahead holds them until it is overtaken.
+  const {k0, dk} = modeGrid(L, bc);
+  const bin = k => k === null ? -1 : Math.round((k - k0)/dk);
+  const pair = [bin(theory.kLead), bin(theory.kSub)];
+  const settled = !last || (pair.includes(last.lead) && pair.includes(last.sub));
+  const kPi = j => ((k0 + j*dk)/Math.PI).toFixed(4);
+  const data = useMemo(() => series.map(p => ({
+    t:p.t, lyap:p.steps ? +p.lyap.toFixed(6) : null, rate:p.steps ? +p.rate.toFixed(6) : null,
+    ratio:p.ratio !== null ? +p.ratio.toFixed(5) : null,
+    pred:last ? +(last.ratio + (stats?.dir ?? 1)*theory.gap*(p.t - last.t)).toFixed(5) : null,
+  })), [series, last, stats, theory.gap]);
+
+  // Predicted gap against ε at fixed A, B, L: it dips at εc
+  const epsTop = Math.min(Math.max(0.3, ec ? 2.5*ec : 0), 1);
+  const gapCurve = useMemo(() => Array.from({length:GAP_POINTS}, (_,i) => {
+    const e = 0.001 + (epsTop-0.001)*i/(GAP_POINTS-1);
+    const g = gapTheory(A, B, e, L, bc, kernel).gap;
+    return {eps:+e.toFixed(5), gap:g > 0 && isFinite(g) ? g : null};
+  }), [A, B, L, bc, kernel, epsTop]);
+
+  return (
+    <>
+      <Card exportAs={{name:"lyapunov", title:"Top Lyapunov exponent λ₁(t)"}}>
+        <SecLabel color={C.amber}>Top Lyapunov Exponent  λ₁ = ⟨log‖ψ''‖⟩</SecLabel>
+        <div style={{fontSize:9, color:C.dim, marginBottom:10, lineHeight:1.7}}>
+          Step 4 divides out ‖ψ''‖ every step; its running log-mean is the growth of the unnormalized map and
+          tends to max g(k,ε) over the {L} allowed modes ({bc} ends). "recent" is the mean over each snapshot
+          interval. The approach to the leading mode runs at the gap Δ = g₁ − g₂, so the state settles in τ = 1/Δ steps.
+          {!settled && <span style={{color:C.rose}}> Top bins are k/π = {kPi(last.lead)}, {kPi(last.sub)}, not the
+            predicted {kPi(pair[0])}, {kPi(pair[1])}: the measured slope is their g difference until the leading mode takes over.</span>}
+          {!linear && <span style={{color:C.amber}}> Extended rule: ‖ψ''‖ of the linear part, before cubic/noise — the prediction is linear theory.</span>}
+        </div>
+        <div style={{display:"grid", gridTemplateColumns:"repeat(6,1fr)", gap:6, marginBottom:10}}>
+          <Stat small label="λ₁ measured" value={stats ? stats.lyap.toFixed(5) : "—"} color={C.amber}/>
+          <Stat small label="recent rate" value={stats ? stats.rate.toFixed(5) : "—"} color={C.violet}/>
+          <Stat small label="max g predicted" value={isFinite(theory.gMax) ? theory.gMax.toFixed(5) : "—"} color={C.green}/>
+          <Stat small label="gap Δ measured" value={stats && stats.gap !== null ? fmtE(stats.gap) : "—"}
+            color={settled ? C.cyan : C.rose}/>
+          <Stat small label="gap Δ predicted" value={fmtE(theory.gap)} color={C.green}/>
+          <Stat small label="τ = 1/Δ (steps)" value={isFinite(theory.tau) ? theory.tau.toPrecision(4) : "∞"}
+            color={ec && Math.abs(eps-ec) < 0.01 ? C.rose : C.dimL}/>
+        </div>
+        <ResponsiveContainer width="100%" height={180}>
+          <LineChart data={data} margin={{top:8,right:20,bottom:30,left:20}}>
+            <CartesianGrid strokeDasharray="3 3" stroke={C.grid}/>
+            <XAxis dataKey="t" type="number" domain={["dataMin","dataMax"]} stroke={C.dim} tick={{fontSize:8,fill:C.dim}}
+              label={{value:"t", position:"insideBottom", offset:-10, fill:C.dim, fontSize:9}}/>
+            <YAxis stroke={C.dim} tick={{fontSize:8,fill:C.dim}} domain={["auto","auto"]}
+              label={{value:"log-growth / step", angle:-90, position:"insideLeft", fill:C.dim, fontSize:9}}/>
+            <Tooltip contentStyle={tt} labelFormatter={v=>`t=${v}`}/>
+            {isFinite(theory.gMax) && <ReferenceLine y={theory.gMax} stroke={C.green} strokeDasharray="4 3"
+              label={{value:"max g",fill:C.green,fontSize:9,position:"right"}}/>}
+            <Line type="monotone" dataKey="rate" stroke={C.violet} strokeWidth={1.2} dot={false} isAnimationActive={false} name="recent"/>
+            <Line type="monotone" dataKey="lyap" stroke={C.amber} strokeWidth={2} dot={false} isAnimationActive={false} name="running mean λ₁"/>
+            <Legend wrapperStyle={{fontSize:9,fontFamily:"monospace",paddingTop:8}}/>
+          </LineChart>
+        </ResponsiveContainer>
+      </Card>
+
+      <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:14}}>
+        <Card exportAs={{name:"gap-time", title:"Leading-mode dominance ½log(P₁/P₂)"}}>
+          <SecLabel color={C.cyan}>Convergence  ½log(P₁/P₂)</SecLabel>
+          <div style={{fontSize:9, color:C.dim, marginBottom:8, lineHeight:1.6}}>
+            Two largest spectrum bins; slope ±Δ (a V where a slower mode that started ahead is overtaken).
+            Dashed: predicted slope through the last point.
+          </div>
+          <ResponsiveContainer width="100%" height={170}>
+            <LineChart data={data} margin={{top:8,right:16,bottom:30,left:16}}>
+              <CartesianGrid strokeDasharray="3 3" stroke={C.grid}/>
+              <XAxis dataKey="t" type="number" domain={["dataMin","dataMax"]} stroke={C.dim} tick={{fontSize:8,fill:C.dim}}
+                label={{value:"t", position:"insideBottom", offset:-10, fill:C.dim, fontSize:9}}/>
+              <YAxis stroke={C.dim} tick={{fontSize:8,fill:C.dim}} domain={["auto","auto"]}/>
+              <Tooltip contentStyle={tt} labelFormatter={v=>`t=${v}`}/>
+              <Line type="linear" dataKey="pred" stroke={C.green} strokeDasharray="4 3" strokeWidth={1} dot={false}
+                isAnimationActive={false} name="predicted Δ"/>
+              <Line type="linear" dataKey="ratio" stroke={C.cyan} strokeWidth={2} dot={false} connectNulls
+                isAnimationActive={false} name="measured"/>
+            </LineChart>
+          </ResponsiveContainer>
+        </Card>
+
+        <Card exportAs={{name:"gap-eps", title:"Predicted spectral gap Δ(ε)"}}>
+          <SecLabel color={C.rose}>Critical Slowing Down  Δ(ε)</SecLabel>
+          <div style={{fontSize:9, color:C.dim, marginBottom:8, lineHeight:1.6}}>
+            g₁ − g₂ on this lattice, log scale: ∝ dk² away from εc, ∝ dk⁴ at it.
+          </div>
+          <ResponsiveContainer width="100%" height={170}>
+            <LineChart data={gapCurve} margin={{top:8,right:16,bottom:30,left:16}}>
+              <CartesianGrid strokeDasharray="3 3" stroke={C.grid}/>
+              <XAxis dataKey="eps" type="number" domain={[0, epsTop]} stroke={C.dim} tick={{fontSize:8,fill:C.dim}}
+                label={{value:"ε", position:"insideBottom", offset:-10, fill:C.dim, fontSize:9}}/>
+              <YAxis scale="log" domain={["auto","auto"]} allowDataOverflow stroke={C.dim} tick={{fontSize:8,fill:C.dim}}
+                tickFormatter={v=>v.toExponential(0)}/>
+              <Tooltip contentStyle={tt} formatter={v=>[fmtE(v),"Δ"]} labelFormatter={v=>`ε=${(+v).toFixed(4)}`}/>
+              {ec && <ReferenceLine x={ec} stroke={C.rose} strokeDasharray="4 3" label={{value:"εc",fill:C.rose,fontSize:9}}/>}
+              <ReferenceLine x={eps} stroke={C.amber} strokeDasharray="2 2"/>
+              <Line type="linear" dataKey="gap" stroke={C.rose} strokeWidth={2} dot={false} isAnimationActive={false} name="Δ"/>
+            </LineChart>
+          </ResponsiveContainer>
+        </Card>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,212 @@
+import { useEffect, useRef, useState } from "react";
+import { C } from "../theme.js";
+import { sgn, computeEc, classifyPhase, kStarOf } from "../engine/index.js";
+import { kStarColor } from "../colormaps.js";
+
+const N = 200;
+
+// x/y name the model parameter on each axis; the third one is held fixed
+const PLANES = {
+  AB:   {x:"A", y:"B", home:{x0:-2, x1:2, y0:-2, y1:2}},
+  epsB: {x:"eps", y:"B", home:{x0:0, x1:0.5, y0:-2, y1:2}},
+  epsA: {x:"eps", y:"A", home:{x0:0, x1:0.5, y0:-2, y1:2}},
+};
+const HOME_VIEWS = Object.fromEntries(Object.entries(PLANES).map(([k,p]) => [k, p.home]));
+const SYM = {A:"A", B:"B", eps:"ε"};
+
+const phaseRGB = (A, B, eps, tol) => {
+  const ec = computeEc(A, B);
+  if (Math.abs(A) < tol || Math.abs(B) < tol) return [18,22,35];  // trivial
+  if (sgn(A) === sgn(B)) return [8,30,80];                         // FM
+  if (!ec) return [10,16,28];
+  if (eps < ec*0.92) return [100,60,5];                            // AFM
+  if (eps > ec*1.08) return [10,80,30];                            // Incommensurate
+  return [150,20,40];                                              // Critical
+};
+
+// ε slices: no critical band (the εc curve is drawn), k* as a colour
+const sliceRGB = (A, B, eps, tol) => {
+  const ec = computeEc(A, B);
+  if (Math.abs(A) < tol || Math.abs(B) < tol) return [18,22,35];
+  if (sgn(A) === sgn(B)) return [8,30,80];
+  if (!ec) return [10,16,28];
+  if (eps <= ec) return [100,60,5];
+  const k = kStarOf(A, B, eps);
+  return k === null ? [10,80,30] : kStarColor(k/Math.PI);
+};
+
+// εc boundary as polylines in data coordinates, broken where undefined
+function ecCurve(plane, {A, B, eps}, {x0, x1, y0, y1}) {
+  const lines = [];
+  let cur = [];
+  const push = pt => { if (pt) cur.push(pt); else if (cur.length) { lines.push(cur); cur = []; } };
+  for (let i = 0; i <= N; i++) {
+    if (plane === "AB") {
+      // ε = εc(A,B) ⇔ B = A(2 − 1/(2ε))
+      const a = x0 + (i/N)*(x1-x0), b = a*(2 - 1/(2*eps));
+      push(eps > 0 && computeEc(a, b) ? [a, b] : null);
+    } else {
+      const y = y0 + (i/N)*(y1-y0);
+      const ec = plane === "epsB" ? computeEc(A, y) : computeEc(y, B);
+      push(ec ? [ec, y] : null);
+    }
+  }
+  push(null);
+  return lines;
+}
+
+const K_GRADIENT = `linear-gradient(to right, ${
+  Array.from({length:9}, (_,i) => `rgb(${kStarColor(i/8).join(",")}) ${i*12.5}%`).join(", ")})`;
+
+// ── Colour bar for the k*/π shading of the ε slices ─────────────────
+export const KStarColorBar = () => (
+  <div style={{fontSize:8, fontFamily:"monospace", color:C.dim}}>
+    <div style={{height:8, borderRadius:3, background:K_GRADIENT, border:`1px solid ${C.border}`}}/>
+    <div style={{display:"flex", justifyContent:"space-between", marginTop:2}}>
+      <span>k*/π = 0</span><span>0.5</span><span>1 (at εc)</span>
+    </div>
+  </div>
+);
+
+// ── Phase diagram canvas: (A,B) at fixed ε, or (ε,B) / (ε,A) slices ──
+// Crosshair on the current point, hover readout, click to select,
+// wheel to zoom about the cursor, drag to pan. The ε slices colour the
+// incommensurate region by k*/π and draw the εc curve. Everything here
+// uses the nearest-neighbour closed forms; `nnOnly` labels the diagram
+// as such while a longer-range kernel is active elsewhere.
+export function PhaseDiagram({plane="AB", eps, A, B, onSelect, nnOnly=false}) {
+  const ref = useRef(null);
+  const drag = useRef(null);
+  const [hover, setHover] = useState(null);
+  const [views, setViews] = useState(HOME_VIEWS);
+  const P = PLANES[plane];
+  const view = views[plane];
+  const setView = v => setViews(vs => ({...vs, [plane]:v}));
+  const {x0, x1, y0, y1} = view;
+  const fixed = {A, B, eps};
+  const at = (x, y) => ({...fixed, [P.x]:x, [P.y]:y});
+  // the fixed parameter only matters for the ε slices' colouring
+  const fixedKey = plane === "AB" ? eps : plane === "epsB" ? A : B;
+
+  useEffect(() => {
+    if (!ref.current) return;
+    const ctx = ref.current.getContext("2d");
+    ref.current.width = N; ref.current.height = N;
+    const img = ctx.createImageData(N, N);
+    const {x:px, y:py} = PLANES[plane];
+    const rgb = plane === "AB" ? phaseRGB : sliceRGB;
+    // the trivial band keeps its width relative to a ±2 window
+    const tol = 0.07*(plane === "AB" ? Math.min(x1-x0, y1-y0) : y1-y0)/4;
+    // both axis parameters are overwritten per pixel, leaving the fixed one
+    const base = {A:fixedKey, B:fixedKey, eps:fixedKey};
+    for (let row = 0; row < N; row++) {
+      for (let col = 0; col < N; col++) {
+        const p = {...base, [px]:x0 + ((col+0.5)/N)*(x1-x0), [py]:y1 - ((row+0.5)/N)*(y1-y0)}; // flip y
+        const [r,g,bl] = rgb(p.A, p.B, p.eps, tol);
+        const idx = (row*N+col)*4;
+        img.data[idx]=r; img.data[idx+1]=g; img.data[idx+2]=bl; img.data[idx+3]=255;
+      }
+    }
+    ctx.putImageData(img, 0, 0);
+    // Zero lines where they are in view
+    ctx.strokeStyle="#ffffff30"; ctx.lineWidth=0.5;
+    const zx = -x0/(x1-x0)*N, zy = y1/(y1-y0)*N;
+    if (zx >= 0 && zx <= N) { ctx.beginPath(); ctx.moveTo(zx,0); ctx.lineTo(zx,N); ctx.stroke(); }
+    if (zy >= 0 && zy <= N) { ctx.beginPath(); ctx.moveTo(0,zy); ctx.lineTo(N,zy); ctx.stroke(); }
+  }, [plane, fixedKey, x0, x1, y0, y1]);
+
+  // Native listener: React's wheel handler is passive and cannot preventDefault
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const wheel = e => {
+      e.preventDefault();
+      const r = el.getBoundingClientRect();
+      const fx = (e.clientX-r.left)/r.width, fy = (e.clientY-r.top)/r.height;
+      const cx = x0 + fx*(x1-x0), cy = y1 - fy*(y1-y0);
+      const z = Math.exp(e.deltaY*0.0015);
+      setViews(vs => ({...vs, [plane]:{x0:cx-(cx-x0)*z, x1:cx+(x1-cx)*z, y0:cy-(cy-y0)*z, y1:cy+(y1-cy)*z}}));
+    };
+    el.addEventListener("wheel", wheel, {passive:false});
+    return () => el.removeEventListener("wheel", wheel);
+  }, [plane, x0, x1, y0, y1]);
+
+  const toXY = e => {
+    const r = ref.current.getBoundingClientRect();
+    const fx = (e.clientX-r.left)/r.width, fy = (e.clientY-r.top)/r.height;
+    return {x:x0 + fx*(x1-x0), y:y1 - fy*(y1-y0), w:r.width, h:r.height};
+  };
+
+  const down = e => {
+    drag.current = {x:e.clientX, y:e.clientY, view, moved:false};
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+  };
+  const move = e => {
+    const p = toXY(e);
+    setHover(p);
+    const d = drag.current;
+    if (!d) return;
+    const dx = e.clientX-d.x, dy = e.clientY-d.y;
+    if (!d.moved && Math.hypot(dx, dy) < 3) return;
+    d.moved = true;
+    const sx = dx/p.w*(d.view.x1-d.view.x0), sy = dy/p.h*(d.view.y1-d.view.y0);
+    setView({x0:d.view.x0-sx, x1:d.view.x1-sx, y0:d.view.y0+sy, y1:d.view.y1+sy});
+  };
+  const up = e => {
+    const d = drag.current;
+    drag.current = null;
+    if (!d || d.moved) return;
+    const p = toXY(e);
+    onSelect({[P.x]:+Math.max(P.x === "eps" ? 0 : -Infinity, p.x).toFixed(4), [P.y]:+p.y.toFixed(4)});
+  };
+
+  const sx = x => (x-x0)/(x1-x0), sy = y => (y1-y)/(y1-y0);
+  const cx = sx(fixed[P.x]), cy = sy(fixed[P.y]);
+  const inView = cx >= 0 && cx <= 1 && cy >= 0 && cy <= 1;
+  const curves = ecCurve(plane, fixed, view);
+  const h = hover && at(hover.x, hover.y);
+  const hEc = h ? computeEc(h.A, h.B) : null;
+  const hK = h ? kStarOf(h.A, h.B, h.eps) : null;
+  const fmt = (k, v) => `${SYM[k]}=${v.toFixed(k === "eps" ? 4 : 3)}`;
+
+  return (
+    <div style={{position:"relative", width:"100%", height:"100%"}}>
+      <canvas ref={ref} onPointerDown={down} onPointerMove={move} onPointerUp={up}
+        onPointerLeave={()=>{ setHover(null); drag.current = null; }}
+        style={{width:"100%", height:"100%", imageRendering:"pixelated", cursor:"crosshair", touchAction:"none",
+          borderRadius:6, border:`1px solid ${C.border}`}}/>
+      <svg viewBox="0 0 1 1" preserveAspectRatio="none"
+        style={{position:"absolute", inset:0, width:"100%", height:"100%", pointerEvents:"none", overflow:"hidden"}}>
+        {curves.map((pts,i) => (
+          <polyline key={i} points={pts.map(([x,y]) => `${sx(x)},${sy(y)}`).join(" ")} fill="none"
+            stroke={C.rose} strokeWidth={0.006} strokeDasharray="0.02 0.01"/>
+        ))}
+        {inView && (
+          <>
+            <line x1={cx} x2={cx} y1={0} y2={1} stroke={C.white} strokeOpacity={0.5} strokeWidth={0.003}/>
+            <line x1={0} x2={1} y1={cy} y2={cy} stroke={C.white} strokeOpacity={0.5} strokeWidth={0.003}/>
+            <circle cx={cx} cy={cy} r={0.012} fill="none" stroke={C.white} strokeWidth={0.005}/>
+          </>
+        )}
+      </svg>
+      <div style={{position:"absolute", top:6, left:8, fontSize:8, fontFamily:"monospace", color:C.dimL,
+        background:C.bg+"c0", padding:"2px 6px", borderRadius:4, pointerEvents:"none"}}>
+        {nnOnly && "NN · "}{h
+          ? `${fmt(P.x, hover.x)} ${fmt(P.y, hover.y)} · ${classifyPhase(h.A, h.B, h.eps)} · εc=${hEc ? hEc.toFixed(4) : "—"}`
+            + (hK !== null ? ` · k*=${(hK/Math.PI).toFixed(4)}π` : "")
+          : `${SYM[P.x]}∈[${x0.toFixed(2)}, ${x1.toFixed(2)}] · ${SYM[P.y]}∈[${y0.toFixed(2)}, ${y1.toFixed(2)}]`}
+      </div>
+      {nnOnly && (
+        <div style={{position:"absolute", bottom:6, left:8, fontSize:8, fontFamily:"monospace", color:C.rose,
+          background:C.bg+"c0", padding:"2px 6px", borderRadius:4, pointerEvents:"none"}}>
+          nearest-neighbour kernel — the active range-r kernel is not drawn
+        </div>
+      )}
+      <button onClick={()=>setView(P.home)}
+        style={{position:"absolute", top:6, right:8, background:C.border, border:`1px solid ${C.border2}`, color:C.dimL,
+          borderRadius:5, padding:"1px 8px", cursor:"pointer", fontSize:8, fontFamily:"monospace"}}>
+        reset view
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { useRef, useState } from "react";
+import { C } from "../theme.js";
+import { download } from "../export.js";
+import {
+  QUICK_PRESETS, BENCHMARK_PRESETS, loadPresets, storePresets, upsertPreset, presetFile, parsePresetFile,
+} from "../presets.js";
+
+const TONES = {
+  amber:{background:C.amberD+"35", border:`1px solid ${C.amberD}`, color:C.amber},
+  green:{background:C.greenD+"35", border:`1px solid ${C.greenD}`, color:C.green},
+};
+const btn = (tone) => ({
+  background:C.border, border:`1px solid ${C.border2}`, color:C.dim, ...TONES[tone],
+  borderRadius:5, padding:"4px 10px", cursor:"pointer", fontSize:8, fontFamily:"monospace",
+});
+const small = {...btn(), padding:"2px 8px"};
+const summary = c => [
+  c.A !== undefined && `A=${+c.A.toFixed(4)}`, c.B !== undefined && `B=${+c.B.toFixed(4)}`,
+  c.eps !== undefined && `ε=${+c.eps.toFixed(4)}`, c.L && `L=${c.L}`, c.bc && c.bc !== "periodic" && c.bc,
+].filter(Boolean).join(" · ");
+
+// ── Preset buttons and the saved-configuration library ──────────────
+// `state` is the full current configuration (URL-state shape); `onApply`
+// receives a preset's config to merge over it.
+export function PresetBar({state, onApply}) {
+  const [presets, setPresets] = useState(loadPresets);
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [msg, setMsg] = useState(null);
+  const file = useRef(null);
+
+  const update = list => {
+    setPresets(list);
+    if (!storePresets(list)) setMsg({error:"localStorage unavailable — kept for this session only"});
+  };
+  const save = () => {
+    const n = name.trim();
+    if (!n) return;
+    update(upsertPreset(presets, {name:n, config:state, saved:new Date().toISOString()}));
+    setName("");
+    setMsg({text:`saved "${n}"`});
+  };
+  const importFile = async e => {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if (!f) return;
+    try {
+      const list = parsePresetFile(await f.text());
+      update(list.reduce(upsertPreset, presets));
+      setMsg({text:`imported ${list.length} from ${f.name}`});
+    } catch (err) {
+      setMsg({error:err.message});
+    }
+  };
+
+  return (
+    <div style={{position:"relative", display:"flex", gap:8, flexWrap:"wrap", paddingBottom:2}}>
+      {QUICK_PRESETS.map(p => (
+        <button key={p.name} onClick={()=>onApply(p.config)} style={btn(p.tone)}>{p.name}</button>
+      ))}
+      <button onClick={()=>setOpen(o=>!o)} style={{...btn(), color:open?C.violet:C.dimL}}>
+        ★ library ({presets.length}) {open ? "▴" : "▾"}
+      </button>
+
+      {open && (
+        <div style={{position:"absolute", top:"100%", left:0, marginTop:6, zIndex:10, width:380,
+          background:C.panel, border:`1px solid ${C.border2}`, borderRadius:8, padding:12,
+          boxShadow:"0 8px 24px #000a", fontSize:9, fontFamily:"monospace"}}>
+          <div style={{color:C.dim, fontSize:8, letterSpacing:"0.14em", textTransform:"uppercase", marginBottom:6}}>
+            Benchmarks (Tbl 3)
+          </div>
+          <div style={{display:"flex", flexWrap:"wrap", gap:4, marginBottom:12}}>
+            {BENCHMARK_PRESETS.map(p => (
+              <button key={p.name} onClick={()=>onApply(p.config)} style={small} title={summary(p.config)}>{p.name}</button>
+            ))}
+          </div>
+
+          <div style={{color:C.dim, fontSize:8, letterSpacing:"0.14em", textTransform:"uppercase", marginBottom:6}}>
+            Saved configurations
+          </div>
+          {presets.length === 0 && <div style={{color:C.muted, marginBottom:8}}>none yet — name the current setup below</div>}
+          <div style={{maxHeight:200, overflowY:"auto", marginBottom:8}}>
+            {presets.map(p => (
+              <div key={p.name} style={{display:"flex", alignItems:"center", gap:6, padding:"3px 0",
+                borderBottom:`1px solid ${C.border}`}}>
+                <button onClick={()=>onApply(p.config)} style={{...small, color:C.text}}>{p.name}</button>
+                <span style={{flex:1, color:C.dim, fontSize:8, overflow:"hidden", textOverflow:"ellipsis",
+                  whiteSpace:"nowrap"}}>{summary(p.config)}</span>
+                <button onClick={()=>update(presets.filter(q => q.name !== p.name))} title="Delete"
+                  style={{...small, color:C.rose}}>×</button>
+              </div>
+            ))}
+          </div>
+
+          <div style={{display:"flex", gap:6, marginBottom:8}}>
+            <input value={name} onChange={e=>setName(e.target.value)} placeholder="name for current setup"
+              onKeyDown={e=>{ if (e.key === "Enter") save(); }}
+              style={{flex:1, background:C.bg, border:`1px solid ${C.border2}`, borderRadius:4, color:C.text,
+                fontFamily:"monospace", fontSize:9, padding:"3px 6px"}}/>
+            <button onClick={save} disabled={!name.trim()} style={{...small, color:C.green}}>save</button>
+          </div>
+          <div style={{display:"flex", gap:6, alignItems:"center"}}>
+            <button onClick={()=>file.current?.click()} style={small}>import JSON…</button>
+            <button onClick={()=>download(new Blob([presetFile(presets)], {type:"application/json"}), "cml-presets.json")}
+              disabled={!presets.length} style={small}>export JSON</button>
+            <input ref={file} type="file" accept="application/json,.json" onChange={importFile} style={{display:"none"}}/>
+            {msg && <span style={{color:msg.error ? C.rose : C.dimL, fontSize:8}}>{msg.error ?? msg.text}</span>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
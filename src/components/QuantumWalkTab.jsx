@@ -0,0 +1,123 @@
+import { useMemo, useState } from "react";
+import { C } from "../theme.js";
+import { divColor, specColor, phaseHue } from "../colormaps.js";
+import { COIN_PRESETS, coinToAB, unitarityError, computeEc } from "../engine/index.js";
+import { useWorkerTask } from "../hooks/useWorkerTask.js";
+import { Card, SecLabel, Stat } from "./ui.jsx";
+import { Heatmap } from "./Heatmap.jsx";
+
+const LABELS = {hadamard:"Hadamard", pauliX:"Pauli-X", pauliZ:"Pauli-Z", identity:"Identity", hadamardS:"H·S (complex B)"};
+const ENTRIES = ["u₁₁", "u₁₂", "u₂₁", "u₂₂"];
+const MAX_ROWS = 600, MAX_COLS = 1024;
+const XT = {x:"site i →", y:"← t"};
+
+const fmtC = ({re, im}) => Math.abs(im) < 1e-12 ? re.toFixed(5) : `${re.toFixed(4)}${im < 0 ? "−" : "+"}${Math.abs(im).toFixed(4)}i`;
+
+// Decimal input committed on blur/Enter
+function Entry({value, onChange, color}) {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    const v = parseFloat(String(draft).replace(/−/g, "-"));
+    if (Number.isFinite(v)) onChange(v);
+    setDraft(null);
+  };
+  return (
+    <input type="text" inputMode="decimal" value={draft ?? +value.toFixed(6)}
+      onChange={e=>setDraft(e.target.value)} onBlur={commit}
+      onKeyDown={e=>{ if (e.key==="Enter") commit(); }}
+      style={{width:70, background:C.bg, border:`1px solid ${C.border2}`, borderRadius:4, color,
+        fontFamily:"monospace", fontSize:11, padding:"3px 6px"}}/>
+  );
+}
+
+// ── Quantum-walk mode: the coin's two-component walk vs the real CML ─
+export function QuantumWalkTab({eps, L, T, seed, init, bc, onApply}) {
+  const [coin, setCoin] = useState(COIN_PRESETS.hadamard);
+  const setEntry = (part, j, v) => setCoin(c => ({...c, [part]:c[part].map((x,i) => i === j ? v : x)}));
+
+  const ab = coinToAB(coin);
+  const uErr = unitarityError(coin);
+  const ecRed = ab.real ? computeEc(ab.A.re, ab.B.re) : null;
+
+  const args = useMemo(() => ({
+    coin, eps, L, T, seed, init, bc,
+    historyEvery:Math.ceil(T/MAX_ROWS), siteStride:Math.ceil(L/MAX_COLS),
+  }), [coin, eps, L, T, seed, init, bc]);
+  const run = useWorkerTask("walk", args);
+  const res = run.result;
+  const maxDiff = res ? Math.max(...res.diff) : null;
+
+  return (
+    <div style={{display:"flex", flexDirection:"column", gap:16}}>
+      <Card>
+        <SecLabel color={C.cyan}>Coin Picture — Complex Two-Component Walk</SecLabel>
+        <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:10}}>
+          Each site holds (aᵢ, bᵢ) ∈ ℂ², and both components carry over from step to step. Step 1 adds
+          (bᵢ₋₁+bᵢ₊₁)/√2 to the upper slot, Step 2 applies the coin U to (aᵢ, bᵢ), Steps 3–4 couple and normalize
+          both components. The lower row is bᵢ ← u₂₁(bᵢ₋₁+bᵢ₊₁)/√2 + u₂₂bᵢ + u₂₁aᵢ: the CML with A = √2·u₂₁,
+          B = u₂₂ (real only when both entries are) plus the feedback of the upper slot. The walk and the reduced
+          CML (A = √2·Re u₂₁, B = Re u₂₂) start from the same ψ(0) with a = 0 and are propagated independently, so
+          the difference below is how far that feedback pulls the walk off the CML.
+        </div>
+        <div style={{display:"flex", gap:4, flexWrap:"wrap", marginBottom:10}}>
+          {Object.keys(COIN_PRESETS).map(k => (
+            <button key={k} onClick={()=>setCoin(COIN_PRESETS[k])} style={{
+              background:coin===COIN_PRESETS[k]?C.cyanD+"60":C.bg, border:`1px solid ${coin===COIN_PRESETS[k]?C.cyan:C.border2}`,
+              color:coin===COIN_PRESETS[k]?C.cyan:C.dim, borderRadius:5, padding:"3px 8px", cursor:"pointer",
+              fontSize:8, fontFamily:"monospace"}}>{LABELS[k]}</button>
+          ))}
+        </div>
+        <div style={{display:"flex", gap:24, flexWrap:"wrap", alignItems:"flex-start"}}>
+          <div style={{display:"grid", gridTemplateColumns:"auto auto", gap:8}}>
+            {ENTRIES.map((name, j) => (
+              <div key={name} style={{display:"flex", alignItems:"center", gap:4, fontFamily:"monospace", fontSize:9, color:C.dim}}>
+                <span style={{width:22}}>{name}</span>
+                <Entry value={coin.re[j]} onChange={v=>setEntry("re", j, v)} color={C.amber}/>
+                <span>+i</span>
+                <Entry value={coin.im[j]} onChange={v=>setEntry("im", j, v)} color={C.violet}/>
+              </div>
+            ))}
+          </div>
+          <div style={{flex:1, minWidth:320, display:"grid", gridTemplateColumns:"repeat(3,1fr)", gap:6}}>
+            <Stat small label="‖U†U − I‖max" value={uErr.toExponential(1)} color={uErr < 1e-9 ? C.green : C.rose}/>
+            <Stat small label="A = √2·u₂₁" value={fmtC(ab.A)} color={C.amber}/>
+            <Stat small label="B = u₂₂" value={fmtC(ab.B)} color={C.cyan}/>
+            <Stat small label="εc (reduced)" value={ecRed ? ecRed.toFixed(5) : ab.real ? "undefined" : "complex A/B"} color={C.rose}/>
+            <Stat small label="max |b/‖b‖ − ψ_CML|" value={maxDiff !== null ? maxDiff.toExponential(1) : "—"}
+              color={maxDiff !== null && maxDiff < 1e-9 ? C.green : C.rose}/>
+            <Stat small label="upper weight Σ|a|² (t=T)" value={res ? res.upper[res.upper.length-1].toFixed(4) : "—"} color={C.violet}/>
+          </div>
+        </div>
+        <div style={{display:"flex", gap:10, alignItems:"center", marginTop:10}}>
+          <button onClick={()=>onApply(ab.A.re, ab.B.re)} disabled={!ab.real}
+            style={{background:C.amberD+"35", border:`1px solid ${C.amberD}`, color:ab.real?C.amber:C.muted, borderRadius:5,
+              padding:"4px 10px", cursor:ab.real?"pointer":"not-allowed", fontSize:8, fontFamily:"monospace"}}>
+            use A, B in the CML controls
+          </button>
+          {!ab.real && <span style={{fontSize:9, color:C.amber}}>
+            Complex u₂₁ or u₂₂: no real (A, B) reproduces this walk — on top of the upper-slot feedback, the mismatch above holds the phase information the real CML drops.
+          </span>}
+          {uErr >= 1e-9 && <span style={{fontSize:9, color:C.rose}}>U is not unitary.</span>}
+        </div>
+        {run.error && <div style={{color:C.rose, fontSize:10, marginTop:8}}>{run.error}</div>}
+      </Card>
+
+      {res && (
+        <div style={{display:"grid", gridTemplateColumns:"1fr 1fr 1fr", gap:16}}>
+          <Card exportAs={{name:"walk-prob", kind:"canvas", title:"|bᵢ(t)|² — walk", labels:XT, params:{coin}}}>
+            <Heatmap data={res.prob} height={300} colorFn={specColor}
+              title="|bᵢ(t)|² — walk" subtitle="lower component, unit norm" caption="t ↓ · i →"/>
+          </Card>
+          <Card exportAs={{name:"walk-phase", kind:"canvas", title:"arg bᵢ(t) — walk", labels:XT, params:{coin}}}>
+            <Heatmap data={res.phase} height={300} colorFn={phaseHue}
+              title="arg bᵢ(t) — walk" subtitle="hue wheel, red = 0" caption="t ↓ · i →"/>
+          </Card>
+          <Card exportAs={{name:"walk-cml", kind:"canvas", title:"ψᵢ(t) — reduced real CML", labels:XT, params:{coin}}}>
+            <Heatmap data={res.cml} height={300} colorFn={divColor}
+              title="ψᵢ(t) — reduced real CML" subtitle={`A=${ab.A.re.toFixed(4)}, B=${ab.B.re.toFixed(4)}`} caption="t ↓ · i →"/>
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import { useState } from "react";
+import {
+  ComposedChart, Line, Scatter, XAxis, YAxis, CartesianGrid, Tooltip,
+  ResponsiveContainer, Legend,
+} from "recharts";
+import { C, tt } from "../theme.js";
+import { Card, SecLabel, Stat, NumberField, Slider } from "./ui.jsx";
+
+const nuColor = f => !f ? C.dimL : Math.abs(f.nu-0.5) <= Math.max(3*f.err, 0.02) ? C.green : C.amber;
+const fmtNu = f => f ? `${f.nu.toFixed(3)} ± ${f.err.toFixed(3)}` : "—";
+
+// ── Measured ξ(ε) on both sides of εc and the fitted exponent ν ─────
+// ξ is the inverse spectral width of an evolved random start
+// (engine/scaling.js); only the ε > εc slope estimates ν.
+export function ScalingPanel({task, stale, onRun}) {
+  const [opts, setOpts] = useState({L:4096, T:100000, n:8, logMin:-3, logMax:-1});
+  const set = patch => setOpts(o => ({...o, ...patch}));
+  const res = task.result;
+
+  const line = f => p => f ? +(f.xi0*p.de**-f.nu).toFixed(5) : null;
+  const pts = side => (res?.points ?? []).filter(p => p.side === side)
+    .map(p => ({de:+p.de.toExponential(4), xi:+p.xi.toFixed(5)}));
+  const fitLine = res ? res.points.filter(p => p.side === "below")
+    .map(p => ({de:+p.de.toExponential(4), below:line(res.below)(p), above:line(res.above)(p)})) : [];
+
+  return (
+    <Card exportAs={{name:"nu-fit", title:"Measured ξ and fitted ν"}}>
+      <SecLabel color={C.violet}>Measured Correlation Length — ν from Simulation</SecLabel>
+      <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:10}}>
+        Each point runs the same random start T steps with the exact propagator and takes ξ = 1/√⟨(π−k)²⟩ over
+        its power spectrum. Above εc the weight settles at π ± δ*, so ξ → 1/δ* and the log-log slope estimates ν.
+        Below εc the peak at π only narrows as 1/√(T|c₂|): that ξ grows with T and shrinks toward εc, so its slope
+        is not ν. Offsets with T·|ε−εc|² too small sit on a ~T^¼ plateau and flatten both slopes — raise T for the
+        innermost points. Offsets |ε−εc| are geometric between 10^{opts.logMin}·εc and 10^{opts.logMax}·εc on each side.
+      </div>
+      <div style={{display:"flex", gap:14, flexWrap:"wrap", alignItems:"flex-end", marginBottom:10}}>
+        <Slider label="log₁₀ min |ε−εc|/εc" value={opts.logMin} min={-4} max={-1} step={0.25} digits={2}
+          onChange={v=>set({logMin:Math.min(v, opts.logMax-0.25)})} color={C.green}/>
+        <Slider label="log₁₀ max |ε−εc|/εc" value={opts.logMax} min={-3} max={-0.25} step={0.25} digits={2}
+          onChange={v=>set({logMax:Math.max(v, opts.logMin+0.25)})} color={C.green}/>
+        <NumberField label="points / side" value={opts.n} min={3} max={40} onChange={v=>set({n:v})} color={C.violet}/>
+        <NumberField label="L" value={opts.L} min={256} max={65536} onChange={v=>set({L:v})} color={C.violet}/>
+        <NumberField label="T" value={opts.T} min={1} max={10000000} onChange={v=>set({T:v})} color={C.violet} width={84}/>
+        <button onClick={()=>onRun({
+            L:opts.L, T:opts.T, n:opts.n, fracMin:10**opts.logMin, fracMax:10**opts.logMax,
+          })}
+          style={{background:C.violetD+"60", border:`1px solid ${C.violet}`, color:C.violet, borderRadius:5,
+            padding:"5px 14px", cursor:"pointer", fontSize:9, fontFamily:"monospace", marginBottom:16}}>
+          {task.pending ? "running…" : "▶ measure ξ"}
+        </button>
+      </div>
+
+      {task.error && <div style={{color:C.rose, fontSize:10, marginBottom:8}}>{task.error}</div>}
+      {stale && res && <div style={{color:C.amber, fontSize:9, marginBottom:8}}>A or B changed since this run — re-run to update.</div>}
+
+      {res && (
+        <>
+          <div style={{display:"grid", gridTemplateColumns:"repeat(4,1fr)", gap:8, marginBottom:10}}>
+            <Stat small label="ν (ε > εc)" value={fmtNu(res.above)} color={nuColor(res.above)}/>
+            <Stat small label="fit below εc (coarsening, not ν)" value={fmtNu(res.below)} color={C.dimL}/>
+            <Stat small label="mean-field ν" value="0.500" color={C.rose}/>
+            <Stat small label="T" value={res.T.toLocaleString()} color={C.violet}/>
+          </div>
+          <ResponsiveContainer width="100%" height={240}>
+            <ComposedChart data={fitLine} margin={{top:8,right:20,bottom:36,left:20}}>
+              <CartesianGrid strokeDasharray="3 3" stroke={C.grid}/>
+              <XAxis dataKey="de" type="number" scale="log" domain={["dataMin","dataMax"]} stroke={C.dim}
+                tick={{fontSize:8,fill:C.dim}} tickFormatter={v=>v.toExponential(0)}
+                label={{value:"|ε − εc|",position:"insideBottom",offset:-10,fill:C.dim,fontSize:10}}/>
+              <YAxis type="number" scale="log" domain={["auto","auto"]} stroke={C.dim}
+                tick={{fontSize:8,fill:C.dim}} tickFormatter={v=>v.toFixed(1)}
+                label={{value:"ξ (sites)",angle:-90,position:"insideLeft",fill:C.dim,fontSize:10}}/>
+              <Tooltip contentStyle={tt} formatter={(v,n)=>[v?.toFixed(3),n]}
+                labelFormatter={v=>`|ε−εc|=${(+v).toExponential(3)}`}/>
+              <Line type="linear" dataKey="below" stroke={C.cyan} strokeDasharray="5 3" dot={false}
+                name="fit below" isAnimationActive={false}/>
+              <Line type="linear" dataKey="above" stroke={C.amber} strokeDasharray="5 3" dot={false}
+                name="fit above" isAnimationActive={false}/>
+              <Scatter data={pts("below")} dataKey="xi" fill={C.cyan} name="ξ, ε < εc" isAnimationActive={false}/>
+              <Scatter data={pts("above")} dataKey="xi" fill={C.amber} name="ξ, ε > εc" isAnimationActive={false}/>
+              <Legend wrapperStyle={{fontSize:9,fontFamily:"monospace",paddingTop:8}}/>
+            </ComposedChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </Card>
+  );
+}
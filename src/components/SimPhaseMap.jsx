@@ -0,0 +1,124 @@
+import { useEffect, useRef, useState } from "react";
+import { C } from "../theme.js";
+import { phaseAgrees } from "../engine/index.js";
+import { Card, SecLabel, Stat, NumberField } from "./ui.jsx";
+
+// Same colours as PhaseDiagram
+const RGB = {
+  Ferromagnetic:[8,30,80], Antiferromagnetic:[100,60,5], Incommensurate:[10,80,30],
+  Critical:[150,20,40], Trivial:[18,22,35],
+};
+const MISS = [232,244,255];
+const SHORT = {Ferromagnetic:"FM", Antiferromagnetic:"AFM", Incommensurate:"IC", Critical:"Crit", Trivial:"Triv"};
+
+const RANGES = {
+  AB:   {x0:-2, x1:2, y0:-2, y1:2, x:"A", y:"B"},
+  epsB: {x0:0, x1:0.5, y0:-2, y1:2, x:"ε", y:"B"},
+};
+const MODES = [["analytic","analytic"], ["simulated","simulated"], ["blend","blend + misses"]];
+
+const btn = on => ({
+  background:on?C.amberD+"60":C.bg, border:`1px solid ${on?C.amber:C.border2}`, color:on?C.amber:C.dim,
+  borderRadius:5, padding:"3px 8px", cursor:"pointer", fontSize:8, fontFamily:"monospace",
+});
+
+// ── Phase map from short simulations vs the analytic rules ──────────
+// One cell per simulated run (engine/phasemap.js), refined 16² → 32² →
+// 64² in the background. "blend" mixes both maps and paints cells where
+// they disagree in white.
+export function SimPhaseMap({task, stale, A, eps, onRun}) {
+  const ref = useRef(null);
+  const [plane, setPlane] = useState("AB");
+  const [mode, setMode] = useState("blend");
+  const [opts, setOpts] = useState({L:128, T:5000});
+  const res = task.result;
+
+  useEffect(() => {
+    if (!ref.current || !res) return;
+    const {n, measured, analytic} = res;
+    const ctx = ref.current.getContext("2d");
+    ref.current.width = n; ref.current.height = n;
+    const img = ctx.createImageData(n, n);
+    for (let j = 0; j < n*n; j++) {
+      const a = RGB[analytic[j]], m = RGB[measured[j]];
+      const rgb = mode === "analytic" ? a : mode === "simulated" ? m
+        : phaseAgrees(analytic[j], measured[j]) === false ? MISS : a.map((v,i) => (v+m[i])/2);
+      img.data.set([...rgb, 255], 4*j);
+    }
+    ctx.putImageData(img, 0, 0);
+  }, [res, mode]);
+
+  const misses = {};
+  if (res) res.measured.forEach((m,j) => {
+    if (phaseAgrees(res.analytic[j], m) !== false) return;
+    const key = `${SHORT[res.analytic[j]]} → ${SHORT[m]}`;
+    misses[key] = (misses[key] ?? 0) + 1;
+  });
+  const total = Object.values(misses).reduce((s,v) => s+v, 0);
+  const R = RANGES[res?.plane ?? plane];
+
+  return (
+    <Card style={{gridColumn:"1 / -1"}} exportAs={{name:`phase-sim-${res?.plane ?? plane}-${mode}`, kind:"canvas",
+      title:`Simulated phase map (${mode})`, labels:{x:`${R.x} →`, y:`${R.y} →`}}}>
+      <SecLabel color={C.amber}>Simulated Phase Map — Short Runs vs Sign Rules</SecLabel>
+      <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:10}}>
+        Every cell runs the exact spectral propagator from the same random ψ(0) to t = T and classifies the final
+        spectrum: peak at k=0 → FM, within one mode of π → AFM, elsewhere → Incommensurate. The analytic map uses
+        classifyPhase; Critical cells accept AFM or Incomm., Trivial cells are not tested. White cells in the
+        blend are disagreements — finite L and T near εc, and places where k=0 outgrows the k* peak.
+      </div>
+      <div style={{display:"flex", gap:14, flexWrap:"wrap", alignItems:"flex-end", marginBottom:10}}>
+        <div style={{display:"flex", gap:4, marginBottom:16}}>
+          {Object.keys(RANGES).map(p => (
+            <button key={p} onClick={()=>setPlane(p)} style={btn(plane===p)}>
+              ({RANGES[p].x}, {RANGES[p].y}) at {p === "AB" ? `ε=${eps.toFixed(4)}` : `A=${A.toFixed(3)}`}
+            </button>
+          ))}
+        </div>
+        <NumberField label="L" value={opts.L} min={16} max={1024} onChange={v=>setOpts(o=>({...o, L:v}))} color={C.violet}/>
+        <NumberField label="T" value={opts.T} min={10} max={100000} onChange={v=>setOpts(o=>({...o, T:v}))} color={C.violet}/>
+        <button onClick={()=>onRun({plane, A, eps, ...RANGES[plane], L:opts.L, T:opts.T})}
+          style={{...btn(true), padding:"5px 14px", fontSize:9, marginBottom:16}}>
+          {task.pending ? `refining${task.n ? ` (${task.n}² done)` : "…"}` : "▶ simulate map"}
+        </button>
+      </div>
+
+      {task.error && <div style={{color:C.rose, fontSize:10, marginBottom:8}}>{task.error}</div>}
+      {stale && res && <div style={{color:C.amber, fontSize:9, marginBottom:8}}>
+        {res.plane === "AB" ? "ε" : "A"} changed since this run — re-run to update.</div>}
+
+      {res && (
+        <div style={{display:"grid", gridTemplateColumns:"360px 1fr", gap:16}}>
+          <div>
+            <div style={{position:"relative", width:360, height:360}}>
+              <canvas ref={ref} style={{width:"100%", height:"100%", imageRendering:"pixelated",
+                borderRadius:6, border:`1px solid ${C.border}`}}/>
+              <div style={{position:"absolute", bottom:4, left:"50%", transform:"translateX(-50%)",
+                fontSize:9, color:C.dim, fontFamily:"monospace"}}>{R.x}: {R.x0} … {R.x1} →</div>
+              <div style={{position:"absolute", top:"50%", left:4, transform:"translateY(-50%) rotate(-90deg)",
+                fontSize:9, color:C.dim, fontFamily:"monospace"}}>{R.y}: {R.y0} … {R.y1} →</div>
+            </div>
+            <div style={{display:"flex", gap:4, marginTop:8}}>
+              {MODES.map(([m, label]) => (
+                <button key={m} onClick={()=>setMode(m)} style={btn(mode===m)}>{label}</button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <div style={{display:"grid", gridTemplateColumns:"repeat(3,1fr)", gap:8, marginBottom:10}}>
+              <Stat small label="grid" value={`${res.n} × ${res.n}`} color={C.violet}/>
+              <Stat small label="agreement" color={res.agreement > 0.95 ? C.green : C.amber}
+                value={res.agreement == null ? "—" : `${(100*res.agreement).toFixed(1)}%`}/>
+              <Stat small label="disagreeing cells" value={total} color={total ? C.rose : C.green}/>
+            </div>
+            <div style={{fontSize:9, color:C.dimL, fontFamily:"monospace", lineHeight:1.8}}>
+              {Object.entries(misses).sort((a,b) => b[1]-a[1]).map(([k,v]) => (
+                <div key={k}>analytic {k}: {v}</div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,67 @@
+import { useMemo } from "react";
+import { C } from "../theme.js";
+import { specColor } from "../colormaps.js";
+import { modeGrid } from "../engine/index.js";
+import { Card, SecLabel } from "./ui.jsx";
+import { Heatmap } from "./Heatmap.jsx";
+
+const DECADES = 8, MAX_BINS = 512;
+const INTERVALS = [0, 1, 2, 5, 10, 20, 50, 100];
+
+const btn = on => ({
+  background:on?C.violet+"30":C.bg, border:`1px solid ${on?C.violet:C.border2}`,
+  color:on?C.violet:C.dim, borderRadius:5, padding:"3px 8px", cursor:"pointer", fontSize:8, fontFamily:"monospace",
+});
+
+// ── Spectrogram: log P(k) of every snapshot, k → and t ↓ ────────────
+// Large rings keep each column's maximum bin so narrow peaks survive.
+// `step` is the interval in use, `specEvery` the setting (0 = auto).
+export function SpectrogramPanel({specHistory, L, bc, kPred, specEvery, step, onSpecEvery}) {
+  const {count, k0, dk} = modeGrid(L, bc);
+  const bin = Math.ceil(count/MAX_BINS), cols = Math.ceil(count/bin);
+
+  // log₁₀(P/P_max) + DECADES, clipped at 0; P_max over the whole run
+  const rows = useMemo(() => {
+    let m = 0;
+    for (const {P} of specHistory) for (const v of P) m = Math.max(m, v);
+    return specHistory.map(({P}) => Array.from({length:cols}, (_,j) => {
+      let v = 0;
+      for (let i = j*bin; i < Math.min(j*bin+bin, count); i++) v = Math.max(v, P[i]||0);
+      return m > 0 ? Math.max(0, Math.log10(Math.max(v, 1e-300)/m) + DECADES) : 0;
+    }));
+  }, [specHistory, count, bin, cols]);
+
+  // Column of k in pixel units (centre of column j at j + ½)
+  const x = k => ((k - k0)/dk - (bin-1)/2)/bin + 0.5;
+  const first = specHistory[0]?.t ?? 0, last = specHistory[specHistory.length-1]?.t ?? 0;
+  const kRange = `k/π = ${(k0/Math.PI).toFixed(3)}…${((k0+(count-1)*dk)/Math.PI).toFixed(3)}`;
+
+  return (
+    <Card exportAs={{name:"spectrogram", kind:"canvas", title:"Spectrogram log P(k, t)", labels:{x:"k/π →", y:"← t"}}}>
+      <SecLabel color={C.violet}>Spectrogram  log₁₀ P(k, t) — {DECADES} Decades</SecLabel>
+      <div style={{fontSize:9, color:C.dim, marginBottom:10, lineHeight:1.7}}>
+        Every spectrum snapshot as one row, scaled to the largest power of the run. The band narrows onto the
+        selected mode as t grows; green: linear-theory prediction {kPred !== null ? `k = ${(kPred/Math.PI).toFixed(4)}π` : "(none)"}.
+      </div>
+      <div style={{display:"flex", gap:6, flexWrap:"wrap", alignItems:"center", marginBottom:10}}>
+        <span style={{fontSize:8, color:C.dim, fontFamily:"monospace"}}>sample every</span>
+        {INTERVALS.map(n => (
+          <button key={n} onClick={()=>onSpecEvery(n)} style={btn(specEvery===n)}>{n || "auto"}</button>
+        ))}
+        <span style={{fontSize:8, color:C.dimL, fontFamily:"monospace", marginLeft:8}}>
+          {step} steps · {specHistory.length} rows{specEvery > 0 && step > specEvery ? " (raised to cap the stored spectra)" : ""}
+        </span>
+      </div>
+      <Heatmap data={rows} height={260} colorFn={specColor}
+        caption={`t=${first} (top) → t=${last} (bottom) · ${kRange} (left→right)`}>
+        {kPred !== null && rows.length > 0 && (
+          <svg viewBox={`0 0 ${cols} ${rows.length}`} preserveAspectRatio="none"
+            style={{position:"absolute", inset:0, width:"100%", height:"100%", pointerEvents:"none"}}>
+            <line x1={x(kPred)} x2={x(kPred)} y1={0} y2={rows.length} stroke={C.green}
+              strokeWidth={1.5} strokeDasharray="4 3" vectorEffect="non-scaling-stroke"/>
+          </svg>
+        )}
+      </Heatmap>
+    </Card>
+  );
+}
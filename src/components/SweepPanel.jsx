@@ -0,0 +1,99 @@
+import { useState } from "react";
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip,
+  ResponsiveContainer, ReferenceLine, Legend,
+} from "recharts";
+import { C, tt } from "../theme.js";
+import { Card, SecLabel, Stat, Slider, NumberField } from "./ui.jsx";
+
+// ── Numerical ε sweep: locate εc from simulations (worker) ──────────
+// Each point is the final state of an exact spectral run of T steps.
+// Long T is cheap there and needed: near εc the modes around π differ
+// in growth by ~g″δk², so short runs still show the initial noise.
+export function SweepPanel({ec, task, stale, onRun}) {
+  const [opts, setOpts] = useState({
+    epsMin:0.01, epsMax:ec ? Math.min(0.6, +(3*ec).toFixed(3)) : 0.6,
+    n:24, refine:2, L:512, logT:6,
+  });
+  const set = patch => setOpts(o => ({...o, ...patch}));
+  const res = task.result;
+  const fit = res?.fit;
+
+  return (
+    <Card exportAs={{name:"eps-sweep", title:"Numerical ε sweep vs Thm 5.2"}}>
+      <SecLabel color={C.violet}>Numerical ε Sweep — εc from Simulation vs Thm 5.2</SecLabel>
+      <div style={{fontSize:9, color:C.dim, lineHeight:1.7, marginBottom:10}}>
+        Runs the CA at a grid of ε (exact spectral propagator, T = 10^{opts.logT} steps), records the staggered
+        magnetization mₛ and the distance of the dominant k from π, and refines around the onset. Right at the
+        onset the peak still wanders over the initial noise (g is quartically flat at εc), so εc is fitted a little
+        further out, where k has settled on k*: ε(1+cos k) ∝ ε−εc, Thm 6.1 in linear form (the pitchfork
+        (π−k)² ∝ ε−εc to leading order).
+      </div>
+      <div style={{display:"flex", gap:14, flexWrap:"wrap", alignItems:"flex-end", marginBottom:10}}>
+        <Slider label="ε min" value={opts.epsMin} min={0.001} max={0.9} step={0.001} digits={3}
+          onChange={v=>set({epsMin:Math.min(v, opts.epsMax-0.001)})} color={C.green}/>
+        <Slider label="ε max" value={opts.epsMax} min={0.002} max={0.95} step={0.001} digits={3}
+          onChange={v=>set({epsMax:Math.max(v, opts.epsMin+0.001)})} color={C.green}/>
+        <Slider label="log₁₀ T" value={opts.logT} min={2} max={8} step={0.5} digits={1}
+          onChange={v=>set({logT:v})} color={C.violet}/>
+        <NumberField label="points" value={opts.n} min={4} max={200} onChange={v=>set({n:v})} color={C.violet}/>
+        <NumberField label="refine" value={opts.refine} min={0} max={6} onChange={v=>set({refine:v})} color={C.violet}/>
+        <NumberField label="L" value={opts.L} min={16} max={16384} onChange={v=>set({L:v})} color={C.violet}/>
+        <button onClick={()=>onRun({
+            epsMin:opts.epsMin, epsMax:opts.epsMax, n:opts.n, refine:opts.refine,
+            L:opts.L, T:Math.round(10**opts.logT), method:"spectral",
+          })}
+          style={{background:C.violetD+"60", border:`1px solid ${C.violet}`, color:C.violet, borderRadius:5,
+            padding:"5px 14px", cursor:"pointer", fontSize:9, fontFamily:"monospace", marginBottom:16}}>
+          {task.pending ? "running…" : "▶ run sweep"}
+        </button>
+      </div>
+
+      {task.error && <div style={{color:C.rose, fontSize:10, marginBottom:8}}>{task.error}</div>}
+      {stale && res && <div style={{color:C.amber, fontSize:9, marginBottom:8}}>A or B changed since this sweep — re-run to update.</div>}
+
+      {res && (
+        <>
+          <div style={{display:"grid", gridTemplateColumns:"repeat(5,1fr)", gap:8, marginBottom:10}}>
+            <Stat small label="εc fit" value={fit ? fit.ec.toFixed(5) : "no pitchfork"} color={C.violet}/>
+            <Stat small label="± std. err." value={fit ? fit.err.toExponential(1) : "—"} color={C.violet}/>
+            <Stat small label="εc theory" value={res.ecTheory ? res.ecTheory.toFixed(5) : "N/A"} color={C.rose}/>
+            <Stat small label="fit − theory" value={fit && res.ecTheory
+                ? `${(fit.ec-res.ecTheory).toExponential(2)} (${((fit.ec-res.ecTheory)/fit.err).toFixed(1)}σ)` : "—"}
+              color={fit && res.ecTheory && Math.abs(fit.ec-res.ecTheory) <= 3*fit.err ? C.green : C.amber}/>
+            <Stat small label="onset bracket / fit window" value={res.bracket
+                ? `${res.bracket[0].toFixed(4)}–${res.bracket[1].toFixed(4)}${res.window ? ` / ${res.window[0].toFixed(4)}–${res.window[1].toFixed(4)}` : ""}`
+                : "none"} color={C.dimL}/>
+          </div>
+          {!fit && res.bracket && (
+            <div style={{fontSize:9, color:C.amber, lineHeight:1.6, marginBottom:8}}>
+              The onset is a jump rather than a continuous pitchfork — typically the k=0 mode overtaking k=π,
+              which the local analysis at π behind Thm 5.2 does not see.
+            </div>
+          )}
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={res.points.map(p => ({eps:+p.eps.toFixed(5), ms:p.ms, dk:p.dk}))}
+              margin={{top:8,right:20,bottom:36,left:20}}>
+              <CartesianGrid strokeDasharray="3 3" stroke={C.grid}/>
+              <XAxis dataKey="eps" type="number" domain={["dataMin","dataMax"]} stroke={C.dim}
+                tick={{fontSize:8,fill:C.dim}}
+                label={{value:"Coupling ε",position:"insideBottom",offset:-10,fill:C.dim,fontSize:10}}/>
+              <YAxis domain={[0,1]} stroke={C.dim} tick={{fontSize:8,fill:C.dim}}/>
+              <Tooltip contentStyle={tt} formatter={(v,n)=>[v?.toFixed(5),n]}
+                labelFormatter={v=>`ε=${(+v).toFixed(5)}`}/>
+              {res.ecTheory && <ReferenceLine x={res.ecTheory} stroke={C.rose} strokeDasharray="6 3"
+                label={{value:"εc theory",fill:C.rose,fontSize:9,position:"top"}}/>}
+              {fit && <ReferenceLine x={fit.ec} stroke={C.violet} strokeDasharray="2 2"
+                label={{value:"εc fit",fill:C.violet,fontSize:9,position:"insideTopRight"}}/>}
+              <Line type="linear" dataKey="ms" stroke={C.amber} strokeWidth={2} dot={{r:1.5}}
+                name="mₛ staggered magnetization" isAnimationActive={false}/>
+              <Line type="linear" dataKey="dk" stroke={C.green} strokeWidth={2} dot={{r:1.5}}
+                name="1 − k_dom/π" isAnimationActive={false}/>
+              <Legend wrapperStyle={{fontSize:9,fontFamily:"monospace",paddingTop:8}}/>
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </Card>
+  );
+}
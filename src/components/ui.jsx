@@ -0,0 +1,73 @@
+import { useRef, useState } from "react";
+import { C } from "../theme.js";
+import { ExportButtons } from "./ExportButtons.jsx";
+
+// ── UI Components ────────────────────────────────────────────────────
+// `exportAs` ({name, kind, title, labels}) adds SVG/PNG export buttons
+export function Card({children, style={}, exportAs}) {
+  const ref = useRef(null);
+  return (
+    <div ref={ref} style={{position:"relative", background:C.card, border:`1px solid ${C.border}`, borderRadius:10,
+      padding:"16px 20px", ...style}}>
+      {exportAs && <ExportButtons target={ref} {...exportAs}/>}
+      {children}
+    </div>
+  );
+}
+
+export const SecLabel = ({children, color=C.dim}) => (
+  <div style={{fontFamily:"monospace", fontSize:9, letterSpacing:"0.18em",
+    textTransform:"uppercase", color, marginBottom:8}}>{children}</div>
+);
+
+export const Stat = ({label, value, color=C.amber, small=false}) => (
+  <div style={{background:C.bg, border:`1px solid ${C.border}`, borderRadius:6, padding:small?"6px 10px":"8px 12px"}}>
+    <div style={{fontSize:7, letterSpacing:"0.14em", color:C.dim, textTransform:"uppercase", marginBottom:3}}>{label}</div>
+    <div style={{fontFamily:"monospace", fontSize:small?11:13, fontWeight:700, color}}>{value}</div>
+  </div>
+);
+
+export const Badge = ({label, color}) => (
+  <span style={{display:"inline-block", padding:"3px 12px", borderRadius:20, fontSize:10,
+    fontFamily:"monospace", fontWeight:700,
+    background:color+"25", border:`1px solid ${color}60`, color}}>{label}</span>
+);
+
+export function Slider({label, value, min, max, step, onChange, color=C.amber, digits=5}) {
+  return (
+    <div style={{flex:1, minWidth:160}}>
+      <div style={{display:"flex", justifyContent:"space-between", marginBottom:3}}>
+        <span style={{fontFamily:"monospace", fontSize:9, color:C.dim, textTransform:"uppercase", letterSpacing:"0.1em"}}>{label}</span>
+        <span style={{fontFamily:"monospace", fontSize:12, fontWeight:700, color}}>{value.toFixed(digits)}</span>
+      </div>
+      <input type="range" min={min} max={max} step={step} value={value}
+        onChange={e=>onChange(parseFloat(e.target.value))}
+        style={{width:"100%", accentColor:color, cursor:"pointer"}}/>
+      <div style={{display:"flex", justifyContent:"space-between", marginTop:1}}>
+        <span style={{fontSize:8, fontFamily:"monospace", color:C.muted}}>{min}</span>
+        <span style={{fontSize:8, fontFamily:"monospace", color:C.muted}}>{max}</span>
+      </div>
+    </div>
+  );
+}
+
+// Integer input committed on blur/Enter, clamped to [min,max]
+export function NumberField({label, value, min, max, onChange, color=C.amber, width=64}) {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    const v = parseInt(draft, 10);
+    if (Number.isFinite(v)) onChange(Math.max(min, Math.min(max, v)));
+    setDraft(null);
+  };
+  return (
+    <label style={{display:"flex", flexDirection:"column", gap:3}}>
+      <span style={{fontFamily:"monospace", fontSize:9, color:C.dim, textTransform:"uppercase", letterSpacing:"0.1em"}}>{label}</span>
+      <input type="number" min={min} max={max} step={1} value={draft ?? value}
+        onChange={e=>setDraft(e.target.value)} onBlur={commit}
+        onKeyDown={e=>{ if (e.key==="Enter") commit(); }}
+        style={{width, background:C.bg, border:`1px solid ${C.border2}`, borderRadius:4, color,
+          fontFamily:"monospace", fontSize:12, fontWeight:700, padding:"3px 6px"}}/>
+      <span style={{fontSize:8, fontFamily:"monospace", color:C.muted}}>{min}–{max}</span>
+    </label>
+  );
+}
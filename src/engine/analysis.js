@@ -0,0 +1,94 @@
+import { classifyPhaseKernel, kStarOfKernel, gRateKernel } from "./kernel.js";
+import { caRawStep } from "./ca.js";
+import { initialState } from "./initial.js";
+import { powerSpectrum } from "./spectrum.js";
+import { modeGrid, applyBoundary } from "./boundary.js";
+
+// ── Peak wavevector with sub-bin interpolation ───────────────────────
+// Gaussian (log-parabolic) fit through the maximum bin and its two
+// neighbours. P is the half spectrum of a real ring, so it is mirror-
+// symmetric about k=0 and k=π: a maximum on either edge stays on it.
+// Other boundary conditions use their own mode grid; edge maxima are
+// likewise left on the edge mode.
+export function peakK(P, L, bc="periodic") {
+  let m = 0;
+  for (let k = 1; k < P.length; k++) if (P[k] > P[m]) m = k;
+  const last = P.length-1;
+  let delta = 0;
+  const onEdge = m === 0 || (m === last && (L%2 === 0 || bc !== "periodic"));
+  if (!onEdge && m < last && P[m] > 0) {
+    const a = Math.log(Math.max(P[m-1], 1e-300));
+    const b = Math.log(P[m]);
+    const c = Math.log(Math.max(P[m+1], 1e-300));
+    const den = a - 2*b + c;
+    if (den < 0) delta = Math.max(-0.5, Math.min(0.5, 0.5*(a-c)/den));
+  }
+  const {k0, dk} = modeGrid(L, bc);
+  const k = k0 + (m+delta)*dk;
+  return {k, kPi:k/Math.PI, bin:m, power:P[m]};
+}
+
+// Dominant k/π of every spectrum snapshot
+export const kTrack = (specHistory, L, bc="periodic") =>
+  specHistory.map(({t, P}) => ({t, ...peakK(P, L, bc)}));
+
+// Linear-theory expectation for the selected mode (rad): k* above εc,
+// π in the AFM/critical phase, 0 for ferromagnetic; null if undefined.
+export const predictedK = (A, B, eps, kernel=null) => {
+  const phase = classifyPhaseKernel(A, B, eps, kernel);
+  if (phase === "Incommensurate") return kStarOfKernel(A, B, eps, kernel);
+  if (phase === "Antiferromagnetic" || phase === "Critical") return Math.PI;
+  if (phase === "Ferromagnetic") return 0;
+  return null;
+};
+
+// Measured vs predicted: final snapshot and mean over the last third
+export function compareK(track, A, B, eps, L, bc="periodic", kernel=null) {
+  const kPred = predictedK(A, B, eps, kernel);
+  if (!track.length) return null;
+  const tail = track.slice(Math.floor(2*track.length/3));
+  const kFinal = track[track.length-1].k;
+  const kLate = tail.reduce((s,p) => s+p.k, 0)/tail.length;
+  return {
+    kPred, kFinal, kLate,
+    devPred: kPred !== null ? kFinal - kPred : null,
+    devPi: kFinal - Math.PI,
+    binWidth: modeGrid(L, bc).dk,
+  };
+}
+
+// ── Empirical growth rate per Fourier mode (Def 4.1) ─────────────────
+// Each step compares the spectrum of the un-normalized update ψ'' with
+// that of ψ: g(k) = ½ log[P''(k)/P(k)], averaged over `steps` steps from
+// ψ(0). A sample is skipped when the mode's power before or after the
+// update falls below `floor` times that spectrum's maximum, where
+// round-off would dominate; a pure-mode start measures only its own k.
+export function measureGrowth({A, B, eps, L, seed, init="random", steps=20, floor=1e-12, bc="periodic", kernel=null}) {
+  const {count:half, k0, dk} = modeGrid(L, bc);
+  const sum = new Float64Array(half), sum2 = new Float64Array(half), n = new Uint32Array(half);
+  let psi = applyBoundary(initialState(L, seed, init), bc);
+  for (let s = 0; s < steps; s++) {
+    const P = powerSpectrum(psi, bc);
+    const raw = caRawStep(psi, A, B, eps, bc, kernel);
+    const Pr = powerSpectrum(raw, bc);
+    const Pmax = P.reduce((m,v) => Math.max(m,v), 0);
+    const PrMax = Pr.reduce((m,v) => Math.max(m,v), 0);
+    for (let k = 0; k < half; k++) {
+      if (!(P[k] > floor*Pmax) || !(Pr[k] > floor*PrMax)) continue;
+      const g = 0.5*Math.log(Pr[k]/P[k]);
+      sum[k] += g; sum2[k] += g*g; n[k]++;
+    }
+    let norm = 0;
+    for (let i = 0; i < L; i++) norm += raw[i]*raw[i];
+    norm = Math.sqrt(norm) || 1;
+    psi = raw.map(v => v/norm);
+  }
+  return Array.from({length:half}, (_,k) => {
+    const kk = k0 + k*dk;
+    const gTh = gRateKernel(kk, A, B, eps, kernel);
+    if (!n[k]) return {k:kk, kPi:kk/Math.PI, g:null, gStd:null, gTheory:gTh, residual:null};
+    const g = sum[k]/n[k];
+    const gStd = Math.sqrt(Math.max(0, sum2[k]/n[k] - g*g));
+    return {k:kk, kPi:kk/Math.PI, g, gStd, gTheory:gTh, residual:isFinite(gTh) ? g-gTh : null};
+  });
+}
@@ -0,0 +1,85 @@
+// ── Boundary conditions ──────────────────────────────────────────────
+//   periodic      ψ₋₁ = ψ_{L−1}, ψ_L = ψ₀ (the ring)
+//   antiperiodic  twist e^{iπ}: ψ₋₁ = −ψ_{L−1}, ψ_L = −ψ₀
+//   open          missing bonds: ψ₋₁ = ψ_L = 0
+//   fixed         end sites pinned, ψ₀ = ψ_{L−1} = 0
+//   reflecting    mirror ends: ψ₋₁ = ψ₀, ψ_L = ψ_{L−1}
+// A real field admits only the twists 0 and π; other phase twists need
+// complex amplitudes.
+export const BOUNDARIES = ["periodic", "antiperiodic", "open", "fixed", "reflecting"];
+
+// Every BC above is a periodic ring of M sites with a symmetry the
+// stencil preserves (odd extension → sine modes, even → cosine, [ψ,−ψ]
+// → half-integer modes). Allowed wavevectors are k = 2πn/M for
+// n = n0, n0+step, …, `count` of them in (0…π]; k0 and dk give the same
+// grid directly as k_j = k0 + j·dk.
+export function modeGrid(L, bc="periodic") {
+  const g = {
+    periodic:     {M:L,       n0:0, step:1, count:Math.floor(L/2)+1},
+    antiperiodic: {M:2*L,     n0:1, step:2, count:Math.ceil(L/2)},
+    open:         {M:2*(L+1), n0:1, step:1, count:L},
+    fixed:        {M:2*(L-1), n0:1, step:1, count:Math.max(L-2, 0)},
+    reflecting:   {M:2*L,     n0:0, step:1, count:L},
+  }[bc];
+  if (!g) throw new Error(`Unknown boundary condition "${bc}"`);
+  return {...g, k0:2*Math.PI*g.n0/g.M, dk:2*Math.PI*g.step/g.M};
+}
+
+// ψ on L sites → the equivalent periodic ring of M sites
+export function extend(psi, bc="periodic") {
+  const L = psi.length;
+  if (bc === "periodic") return Float64Array.from(psi);
+  const {M} = modeGrid(L, bc);
+  const ext = new Float64Array(M);
+  for (let i = 0; i < L; i++) {
+    const v = psi[i];
+    switch (bc) {
+      case "antiperiodic": ext[i] = v; ext[L+i] = -v; break;
+      case "open":         ext[1+i] = v; ext[M-1-i] = -v; break;
+      case "fixed":        if (i > 0 && i < L-1) { ext[i] = v; ext[M-i] = -v; } break;
+      case "reflecting":   ext[i] = v; ext[M-1-i] = v; break;
+    }
+  }
+  return ext;
+}
+
+// Inverse of extend: the L physical sites of the ring
+export const restrict = (ext, L, bc="periodic") =>
+  bc === "open" ? ext.slice(1, L+1) : ext.slice(0, L);
+
+// Value at any site i, read off the periodic extension above; within
+// [−1, L] this is the usual ghost site (0 for open, pinned for fixed).
+const mod = (i, m) => ((i%m) + m)%m;
+export const edgeValue = (f, i, bc="periodic") => {
+  const L = f.length;
+  if (i >= 0 && i < L) return f[i];
+  switch (bc) {
+    case "periodic":     return f[mod(i, L)];
+    case "antiperiodic": { const j = mod(i, 2*L); return j < L ? f[j] : -f[j-L]; }
+    case "open": {
+      const M = 2*(L+1), j = mod(i+1, M);
+      return j === 0 || j === L+1 ? 0 : j <= L ? f[j-1] : -f[M-1-j];
+    }
+    case "fixed": {
+      if (L < 3) return 0;
+      const M = 2*(L-1), j = mod(i, M);
+      return j < L ? f[j] : -f[M-j];
+    }
+    case "reflecting":   { const j = mod(i, 2*L); return j < L ? f[j] : f[2*L-1-j]; }
+    default:             return 0;
+  }
+};
+
+// Fixed ends: zero sites 0 and L−1 in place
+export const pinEnds = (f, bc="periodic") => {
+  if (bc === "fixed" && f.length) { f[0] = 0; f[f.length-1] = 0; }
+  return f;
+};
+
+// Initial state made admissible: fixed ends zeroed, renormalized
+export function applyBoundary(psi, bc="periodic") {
+  if (bc !== "fixed") return psi;
+  const f = pinEnds(Float64Array.from(psi), bc);
+  const norm = Math.sqrt(f.reduce((s,v) => s+v*v, 0)) || 1;
+  return f.map(v => v/norm);
+}
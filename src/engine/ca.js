@@ -0,0 +1,52 @@
+import { edgeValue, pinEnds } from "./boundary.js";
+import { isNearest, kernelWeights } from "./kernel.js";
+
+// ── CA Core (Definition 2.2, Steps 1–4) ─────────────────────────────
+// Step 2: ψ^U_i = (A/2)(ψ_{i-1}+ψ_{i+1}) + Bψ_i  → Fourier: (Acosk+B)ψ̃_k
+// Step 3: ψ''_i = ψ^U_i + ε(ψ^U_{i-1}+ψ^U_{i+1})  → ×(1+2εcosk)
+// Neighbours past the ends follow `bc` (boundary.js); periodic by default.
+// An optional `kernel` (kernel.js) widens both stencils to range r.
+
+// out_i = a(f_{i-1}+f_{i+1}) + b f_i
+export function stencil(f, a, b, bc="periodic") {
+  const L = f.length;
+  const out = new Float64Array(L);
+  for (let i = 1; i < L-1; i++) out[i] = a*(f[i-1] + f[i+1]) + b*f[i];
+  out[0] = a*(edgeValue(f, -1, bc) + edgeValue(f, 1, bc)) + b*f[0];
+  if (L > 1) out[L-1] = a*(edgeValue(f, L-2, bc) + edgeValue(f, L, bc)) + b*f[L-1];
+  return pinEnds(out, bc);
+}
+
+// out_i = Σ_r w[r−1](f_{i-r}+f_{i+r}) + b f_i,  r = 1…w.length
+export function stencilRange(f, w, b, bc="periodic") {
+  const L = f.length, R = w.length;
+  const out = new Float64Array(L);
+  for (let i = 0; i < L; i++) {
+    let s = b*f[i];
+    if (i >= R && i < L-R) for (let r = 1; r <= R; r++) s += w[r-1]*(f[i-r] + f[i+r]);
+    else for (let r = 1; r <= R; r++) s += w[r-1]*(edgeValue(f, i-r, bc) + edgeValue(f, i+r, bc));
+    out[i] = s;
+  }
+  return pinEnds(out, bc);
+}
+
+// Steps 2+3 only: the linear update before projective normalization
+export function caRawStep(psi, A, B, eps, bc="periodic", kernel=null) {
+  const src = bc === "fixed" ? pinEnds(Float64Array.from(psi), bc) : psi;
+  if (isNearest(kernel)) return stencil(stencil(src, A/2, B, bc), eps, 1, bc);
+  const {hop, couple} = kernelWeights(A, eps, kernel);
+  return stencilRange(stencilRange(src, hop, B, bc), couple, 1, bc);
+}
+
+// Step 4: ψ(t+1) = ψ''/‖ψ''‖, with the norm it divides out (lyapunov.js)
+export function caStepNorm(psi, A, B, eps, bc="periodic", kernel=null) {
+  const L = psi.length;
+  const pp = caRawStep(psi, A, B, eps, bc, kernel);
+  let norm = 0;
+  for (let i = 0; i < L; i++) norm += pp[i]*pp[i];
+  norm = Math.sqrt(norm) || 1;
+  return {psi:pp.map(v => v/norm), norm};
+}
+
+export const caStep = (psi, A, B, eps, bc="periodic", kernel=null) =>
+  caStepNorm(psi, A, B, eps, bc, kernel).psi;
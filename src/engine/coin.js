@@ -0,0 +1,99 @@
+import { stencil, caStep } from "./ca.js";
+import { initialState } from "./initial.js";
+import { applyBoundary } from "./boundary.js";
+
+// ── Coin picture: the complex two-component walk behind Def 2.2 ─────
+// Each site carries (aᵢ, bᵢ) ∈ ℂ², both propagated from step to step.
+// Step 1 adds the spatial mix of the lower component to the upper slot,
+// aᵢ ← aᵢ + (bᵢ₋₁+bᵢ₊₁)/√2; Step 2 applies the 2×2 coin U to (aᵢ, bᵢ);
+// Step 3 couples both components, Step 4 normalizes Σ|a|²+|b|². The
+// lower row of Step 2 reads
+//   bᵢ ← u₂₁(bᵢ₋₁+bᵢ₊₁)/√2 + u₂₂bᵢ + u₂₁aᵢ = (A/2)(bᵢ₋₁+bᵢ₊₁) + Bbᵢ + u₂₁aᵢ
+// with A = √2·u₂₁, B = u₂₂: the CML plus the feedback u₂₁aᵢ of what the
+// upper slot carried over. The walk follows the CML only while that
+// feedback stays negligible (or u₂₁ = 0).
+// A coin is {re:[u11,u12,u21,u22], im:[…]}.
+const s = Math.SQRT1_2;
+export const COIN_PRESETS = {
+  hadamard:  {re:[s, s, s, -s], im:[0, 0, 0, 0]},
+  pauliX:    {re:[0, 1, 1, 0],  im:[0, 0, 0, 0]},
+  pauliZ:    {re:[1, 0, 0, -1], im:[0, 0, 0, 0]},
+  identity:  {re:[1, 0, 0, 1],  im:[0, 0, 0, 0]},
+  // H·diag(1, i): same |u₂₂| as Hadamard, but B = −i/√2 is not real
+  hadamardS: {re:[s, 0, s, 0],  im:[0, s, 0, -s]},
+};
+
+// max |(U†U − I)ⱼₖ|
+export function unitarityError({re, im}) {
+  let err = 0;
+  for (let j = 0; j < 2; j++) for (let k = 0; k < 2; k++) {
+    let r = 0, i = 0;
+    for (let m = 0; m < 2; m++) {
+      // conj(U[m][j]) · U[m][k]
+      const ar = re[2*m+j], ai = -im[2*m+j], br = re[2*m+k], bi = im[2*m+k];
+      r += ar*br - ai*bi; i += ar*bi + ai*br;
+    }
+    err = Math.max(err, Math.hypot(r - (j === k ? 1 : 0), i));
+  }
+  return err;
+}
+
+// Coin → (A, B) of the reduced CML; `real` when both imaginary parts vanish
+export const coinToAB = ({re, im}, tol=1e-12) => ({
+  A:{re:Math.SQRT2*re[2], im:Math.SQRT2*im[2]},
+  B:{re:re[3], im:im[3]},
+  real: Math.abs(im[2]) < tol && Math.abs(im[3]) < tol,
+});
+
+// ── Walk run next to the reduced real CML ───────────────────────────
+// Starts from the real CML initial state in b (a = 0) and, in lockstep
+// but independently, runs caStep with A = √2·Re u₂₁, B = Re u₂₂. Rows
+// hold |b|² (b scaled to unit norm), arg b and the CML ψ; `diff` is
+// max |b/‖b‖ − ψ| per kept row and `upper` the weight Σ|a|² in the upper
+// slot.
+export function runWalk({coin, eps, L, T, seed, init="random", bc="periodic", historyEvery=1, siteStride=1}) {
+  const [u11r, u12r, u21r, u22r] = coin.re, [u11i, u12i, u21i, u22i] = coin.im;
+  const {A, B, real} = coinToAB(coin);
+  const row = f => Array.from(siteStride > 1 ? f.filter((_,i) => i%siteStride === 0) : f);
+
+  let psi = applyBoundary(initialState(L, seed, init), bc);
+  let bRe = Float64Array.from(psi), bIm = new Float64Array(L);
+  let aRe = new Float64Array(L), aIm = new Float64Array(L);
+  const prob = [], phase = [], cml = [], diff = [], upper = [];
+  const keep = aW => {
+    let nb = 0;
+    for (let i = 0; i < L; i++) nb += bRe[i]*bRe[i] + bIm[i]*bIm[i];
+    nb = nb || 1;
+    let d = 0;
+    const p = new Float64Array(L), ph = new Float64Array(L);
+    for (let i = 0; i < L; i++) {
+      const r = bRe[i]/Math.sqrt(nb), m = bIm[i]/Math.sqrt(nb);
+      p[i] = r*r + m*m; ph[i] = Math.atan2(m, r);
+      d = Math.max(d, Math.hypot(r - psi[i], m));
+    }
+    prob.push(row(p)); phase.push(row(ph)); cml.push(row(psi)); diff.push(d); upper.push(aW);
+  };
+  keep(0);
+
+  for (let t = 1; t <= T; t++) {
+    const mRe = stencil(bRe, s, 0, bc), mIm = stencil(bIm, s, 0, bc);
+    const cRe = new Float64Array(L), cIm = new Float64Array(L);
+    const nRe = new Float64Array(L), nIm = new Float64Array(L);
+    for (let i = 0; i < L; i++) {
+      const xr = aRe[i] + mRe[i], xi = aIm[i] + mIm[i], yr = bRe[i], yi = bIm[i];
+      cRe[i] = u11r*xr - u11i*xi + u12r*yr - u12i*yi;
+      cIm[i] = u11r*xi + u11i*xr + u12r*yi + u12i*yr;
+      nRe[i] = u21r*xr - u21i*xi + u22r*yr - u22i*yi;
+      nIm[i] = u21r*xi + u21i*xr + u22r*yi + u22i*yr;
+    }
+    aRe = stencil(cRe, eps, 1, bc); aIm = stencil(cIm, eps, 1, bc);
+    bRe = stencil(nRe, eps, 1, bc); bIm = stencil(nIm, eps, 1, bc);
+    let na = 0, nb = 0;
+    for (let i = 0; i < L; i++) { na += aRe[i]**2 + aIm[i]**2; nb += bRe[i]**2 + bIm[i]**2; }
+    const norm = Math.sqrt(na + nb) || 1;
+    for (let i = 0; i < L; i++) { aRe[i] /= norm; aIm[i] /= norm; bRe[i] /= norm; bIm[i] /= norm; }
+    psi = caStep(psi, A.re, B.re, eps, bc);
+    if (t%historyEvery === 0 || t === T) keep(na/(na + nb || 1));
+  }
+  return {prob, phase, cml, diff, upper, A, B, real, unitarityError:unitarityError(coin)};
+}
@@ -0,0 +1,53 @@
+import { rng, gaussian } from "./rng.js";
+import { caStepNorm, stencilRange } from "./ca.js";
+import { edgeValue, pinEnds } from "./boundary.js";
+import { kernelWeights, NN_KERNEL } from "./kernel.js";
+
+// ── Beyond the linear rule: saturation, noise, disorder ─────────────
+//   cubic     φ → φ − gφ³ on the rms-1 field φ = √L·ψ''/‖ψ''‖
+//   noise     φ → φ + σ·N(0,1) per site and step
+//   disorder  quenched A·(1+δηᵢ), B·(1+δη′ᵢ) in Step 2, η ~ N(0,1)
+// Both act before Step 4, and on φ rather than ψ so g and σ do not
+// depend on L. The disorder and noise draws use their own streams
+// derived from the seed, so the initial state matches the linear run.
+// Disorder scales the whole hop sum of a longer-range kernel at site i.
+// `onNorm` receives ‖ψ''‖ of the linear update each step.
+export const EXT_DEFAULTS = {cubic:0, noise:0, disorder:0};
+
+export const isLinear = ext => !ext || (!ext.cubic && !ext.noise && !ext.disorder);
+
+export function createExtendedStep(L, seed, ext, onNorm=null) {
+  const {cubic, noise, disorder} = {...EXT_DEFAULTS, ...ext};
+  if (isLinear(ext)) return (psi, A, B, eps, bc, kernel) => {
+    const r = caStepNorm(psi, A, B, eps, bc, kernel);
+    onNorm?.(r.norm);
+    return r.psi;
+  };
+  const quenched = gaussian(rng((seed ^ 0x9e3779b9) >>> 0));
+  const a = Float64Array.from({length:L}, () => 1 + disorder*quenched());
+  const b = Float64Array.from({length:L}, () => 1 + disorder*quenched());
+  const kick = gaussian(rng((seed ^ 0x85ebca6b) >>> 0));
+
+  return (psi, A, B, eps, bc="periodic", kernel=NN_KERNEL) => {
+    const src = bc === "fixed" ? pinEnds(Float64Array.from(psi), bc) : psi;
+    const {hop, couple} = kernelWeights(A, eps, kernel ?? NN_KERNEL);
+    const U = new Float64Array(L);
+    for (let i = 0; i < L; i++) {
+      let s = 0;
+      for (let r = 1; r <= hop.length; r++) s += hop[r-1]*(edgeValue(src, i-r, bc) + edgeValue(src, i+r, bc));
+      U[i] = a[i]*s + B*b[i]*src[i];
+    }
+    const phi = stencilRange(pinEnds(U, bc), couple, 1, bc);
+    let norm = Math.sqrt(phi.reduce((s,v) => s+v*v, 0)) || 1;
+    onNorm?.(norm);
+    for (let i = 0; i < L; i++) {
+      let v = Math.sqrt(L)*phi[i]/norm;
+      if (cubic) v -= cubic*v*v*v;
+      if (noise) v += noise*kick();
+      phi[i] = v;
+    }
+    pinEnds(phi, bc);
+    norm = Math.sqrt(phi.reduce((s,v) => s+v*v, 0)) || 1;
+    return phi.map(v => v/norm);
+  };
+}
@@ -0,0 +1,125 @@
+// ── Complex FFT ──────────────────────────────────────────────────────
+// Radix-2 Cooley–Tukey for power-of-two N, Bluestein (chirp-z) for any
+// other N, so ring sizes like L=120 stay O(N log N). Transforms are in
+// place on separate re/im Float64Arrays; `inverse` includes the 1/N.
+
+const plans = new Map();
+
+const isPow2 = n => n > 0 && (n & (n-1)) === 0;
+
+function radix2Plan(n) {
+  const levels = Math.log2(n);
+  const rev = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let r = 0;
+    for (let b = 0, x = i; b < levels; b++, x >>= 1) r = (r << 1) | (x & 1);
+    rev[i] = r;
+  }
+  const cos = new Float64Array(n/2), sin = new Float64Array(n/2);
+  for (let i = 0; i < n/2; i++) { cos[i] = Math.cos(2*Math.PI*i/n); sin[i] = Math.sin(2*Math.PI*i/n); }
+  return {rev, cos, sin};
+}
+
+function radix2(re, im, inverse) {
+  const n = re.length;
+  if (!plans.has(n)) plans.set(n, radix2Plan(n));
+  const {rev, cos, sin} = plans.get(n);
+  for (let i = 0; i < n; i++) {
+    const j = rev[i];
+    if (j > i) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+  const sgn = inverse ? 1 : -1;
+  for (let size = 2; size <= n; size *= 2) {
+    const half = size/2, step = n/size;
+    for (let start = 0; start < n; start += size) {
+      for (let j = 0; j < half; j++) {
+        const wr = cos[j*step], wi = sgn*sin[j*step];
+        const a = start+j, b = a+half;
+        const xr = re[b]*wr - im[b]*wi, xi = re[b]*wi + im[b]*wr;
+        re[b] = re[a]-xr; im[b] = im[a]-xi;
+        re[a] += xr; im[a] += xi;
+      }
+    }
+  }
+}
+
+function bluesteinPlan(n) {
+  const m = 2**Math.ceil(Math.log2(2*n-1));
+  // chirp w_j = exp(−iπj²/n); j² taken mod 2n to keep the angle small
+  const wr = new Float64Array(n), wi = new Float64Array(n);
+  for (let j = 0; j < n; j++) {
+    const a = Math.PI*((j*j) % (2*n))/n;
+    wr[j] = Math.cos(a); wi[j] = -Math.sin(a);
+  }
+  const br = new Float64Array(m), bi = new Float64Array(m);
+  br[0] = wr[0]; bi[0] = -wi[0];
+  for (let j = 1; j < n; j++) {
+    br[j] = br[m-j] = wr[j];
+    bi[j] = bi[m-j] = -wi[j];
+  }
+  radix2(br, bi, false);
+  return {m, wr, wi, br, bi};
+}
+
+function bluestein(re, im, inverse) {
+  const n = re.length;
+  const key = -n;
+  if (!plans.has(key)) plans.set(key, bluesteinPlan(n));
+  const {m, wr, wi, br, bi} = plans.get(key);
+  const s = inverse ? -1 : 1;
+  const ar = new Float64Array(m), ai = new Float64Array(m);
+  for (let j = 0; j < n; j++) {
+    const cr = wr[j], ci = s*wi[j];
+    ar[j] = re[j]*cr - im[j]*ci;
+    ai[j] = re[j]*ci + im[j]*cr;
+  }
+  radix2(ar, ai, false);
+  for (let j = 0; j < m; j++) {
+    const bR = br[j], bI = s*bi[j];
+    const xr = ar[j]*bR - ai[j]*bI;
+    ai[j] = ar[j]*bI + ai[j]*bR;
+    ar[j] = xr;
+  }
+  radix2(ar, ai, true);
+  for (let j = 0; j < n; j++) {
+    const cr = wr[j], ci = s*wi[j];
+    const xr = ar[j]/m, xi = ai[j]/m;
+    re[j] = xr*cr - xi*ci;
+    im[j] = xr*ci + xi*cr;
+  }
+}
+
+export function fft(re, im, inverse=false) {
+  const n = re.length;
+  if (n <= 1) return;
+  if (isPow2(n)) radix2(re, im, inverse);
+  else bluestein(re, im, inverse);
+  if (inverse) for (let i = 0; i < n; i++) { re[i] /= n; im[i] /= n; }
+}
+
+// Forward transform of a real signal → {re, im}
+export function rfft(x) {
+  const re = Float64Array.from(x), im = new Float64Array(x.length);
+  fft(re, im);
+  return {re, im};
+}
+
+// 2D transform of a row-major W×H field, in place: rows, then columns
+export function fft2(re, im, W, H, inverse=false) {
+  const rr = new Float64Array(W), ri = new Float64Array(W);
+  for (let y = 0; y < H; y++) {
+    const o = y*W;
+    for (let x = 0; x < W; x++) { rr[x] = re[o+x]; ri[x] = im[o+x]; }
+    fft(rr, ri, inverse);
+    for (let x = 0; x < W; x++) { re[o+x] = rr[x]; im[o+x] = ri[x]; }
+  }
+  const cr = new Float64Array(H), ci = new Float64Array(H);
+  for (let x = 0; x < W; x++) {
+    for (let y = 0; y < H; y++) { cr[y] = re[y*W+x]; ci[y] = im[y*W+x]; }
+    fft(cr, ci, inverse);
+    for (let y = 0; y < H; y++) { re[y*W+x] = cr[y]; im[y*W+x] = ci[y]; }
+  }
+}
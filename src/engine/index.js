@@ -0,0 +1,35 @@
+// ═══════════════════════════════════════════════════════════════════
+// Headless engine for the frustrated CML — no DOM, no React.
+// The UI and the Node scripts share these exact dynamics.
+// ═══════════════════════════════════════════════════════════════════
+export {
+  sgn, computeEc, gRate, gCurv, cosKstar, kStarOf, classifyPhase,
+  cos2d, gRate2d, computeEc2d, kStarVectors2d,
+} from "./theory.js";
+export { rng, gaussian } from "./rng.js";
+export { powerSpectrum, dominantK } from "./spectrum.js";
+export {
+  INIT_KINDS, INIT_DEFAULTS, snapK, randomState, parseProfile, resampleProfile, initialState,
+} from "./initial.js";
+export { stencil, stencilRange, caRawStep, caStepNorm, caStep } from "./ca.js";
+export {
+  NN_KERNEL, KERNEL_MAX_RANGE, isNearest, kernelWeights, kernelSymbol, gRateKernel, piSeries, gCurvKernel,
+  argmaxKernel, solveCritical, criticalKernel, computeEcKernel, solveMode, kStarOfKernel, cosKstarKernel,
+  classifyPhaseKernel, closedFormCheck, lifshitzCurve,
+} from "./kernel.js";
+export { EXT_DEFAULTS, isLinear, createExtendedStep } from "./extensions.js";
+export { BOUNDARIES, modeGrid, extend, restrict, edgeValue, pinEnds, applyBoundary } from "./boundary.js";
+export { fft, rfft, fft2 } from "./fft.js";
+export { symbol, spectralPropagator, checkSpectral } from "./spectral.js";
+export { runSimulation, summarize } from "./run.js";
+export { createStream } from "./stream.js";
+export { peakK, kTrack, predictedK, compareK, measureGrowth } from "./analysis.js";
+export { finalState, orderParams, sweepEps, fitPitchfork } from "./sweep.js";
+export { linearFit, polyFit } from "./stats.js";
+export { correlationLength, fitNu, scalingSweep } from "./scaling.js";
+export {
+  caRawStep2d, caStep2d, INIT_KINDS_2D, initialState2d, powerSpectrum2d, patternOf2d, runSimulation2d,
+} from "./lattice2d.js";
+export { COIN_PRESETS, unitarityError, coinToAB, runWalk } from "./coin.js";
+export { classifySpectrum, phaseAgrees, simulatePhaseMap } from "./phasemap.js";
+export { gapTheory, leadRatio, lyapunovPoint, lyapunovStats } from "./lyapunov.js";
@@ -0,0 +1,73 @@
+import { rng } from "./rng.js";
+
+// ── Initial conditions ───────────────────────────────────────────────
+// Every state is returned normalized, ‖ψ‖ = 1, like the CA output.
+//   random  uniform noise from rng(seed)
+//   delta   single site at `center` → lattice Green's function
+//   plane   cos(k i), k snapped to the nearest ring mode 2πn/L
+//   afm     staggered (−1)^i plus `noise`·U(−½,½)
+//   packet  Gaussian envelope of width `sigma` around `center`, carrier k
+//   custom  user `profile`, linearly resampled onto L sites
+export const INIT_KINDS = ["random", "delta", "plane", "afm", "packet", "custom"];
+
+export const INIT_DEFAULTS = {kind:"random", kPi:0.5, sigma:8, noise:0.05, center:null, profile:[]};
+
+const normalize = psi => {
+  const norm = Math.sqrt(psi.reduce((s,v)=>s+v*v,0)) || 1;
+  return psi.map(v=>v/norm);
+};
+
+// Ring mode closest to k = kPi·π
+export const snapK = (kPi, L) => 2*Math.PI*Math.round(kPi*L/2)/L;
+
+export function randomState(L, seed) {
+  const rand = rng(seed);
+  return normalize(Float64Array.from({length:L}, () => rand()-0.5));
+}
+
+// Pasted/loaded profile text → numbers (comma, semicolon or whitespace separated)
+export const parseProfile = text =>
+  text.split(/[\s,;]+/).filter(Boolean).map(Number).filter(Number.isFinite);
+
+export function resampleProfile(profile, L) {
+  const n = profile.length;
+  if (n === 0) return new Float64Array(L);
+  if (n === 1) return new Float64Array(L).fill(profile[0]);
+  return Float64Array.from({length:L}, (_,i) => {
+    const x = i*(n-1)/Math.max(L-1, 1);
+    const j = Math.min(Math.floor(x), n-2);
+    return profile[j] + (x-j)*(profile[j+1]-profile[j]);
+  });
+}
+
+export function initialState(L, seed, init="random") {
+  const o = {...INIT_DEFAULTS, ...(typeof init === "string" ? {kind:init} : init)};
+  const c = o.center ?? Math.floor(L/2);
+  switch (o.kind) {
+    case "random": return randomState(L, seed);
+    case "delta": {
+      const psi = new Float64Array(L);
+      psi[((c%L)+L)%L] = 1;
+      return psi;
+    }
+    case "plane": {
+      const k = snapK(o.kPi, L);
+      return normalize(Float64Array.from({length:L}, (_,i) => Math.cos(k*i)));
+    }
+    case "afm": {
+      const rand = rng(seed);
+      return normalize(Float64Array.from({length:L}, (_,i) => (i%2 ? -1 : 1) + o.noise*(rand()-0.5)));
+    }
+    case "packet": {
+      const k = o.kPi*Math.PI;
+      return normalize(Float64Array.from({length:L}, (_,i) =>
+        Math.exp(-((i-c)**2)/(2*o.sigma*o.sigma))*Math.cos(k*(i-c))));
+    }
+    case "custom": {
+      const psi = resampleProfile(o.profile, L);
+      if (!psi.some(v => v !== 0)) throw new Error("Custom initial profile is empty or all zero");
+      return normalize(psi);
+    }
+    default: throw new Error(`Unknown initial condition "${o.kind}"`);
+  }
+}
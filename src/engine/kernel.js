@@ -0,0 +1,199 @@
+import { computeEc, gRate, gCurv, cosKstar, kStarOf, classifyPhase } from "./theory.js";
+
+// ── Longer-range coupling kernels ────────────────────────────────────
+// Step 2: U_i = (A/2)Σ_r w_r(ψ_{i−r}+ψ_{i+r}) + Bψ_i
+// Step 3: ψ''_i = U_i + εΣ_r v_r(U_{i−r}+U_{i+r}),   r = 1…R
+// `kernel = {hop:[w₁…], couple:[v₁…]}` holds relative weights, so A and ε
+// keep their meaning as overall scales and {hop:[1], couple:[1]} is
+// Def 2.2. The Fourier symbol is
+//   λ(k) = (A·a(k) + B)(1 + 2ε·e(k)),  a = Σ w_r cos rk,  e = Σ v_r cos rk.
+// Every …Kernel function below reduces to the closed form of theory.js
+// for the nearest-neighbour kernel and is numerical otherwise.
+export const NN_KERNEL = {hop:[1], couple:[1]};
+export const KERNEL_MAX_RANGE = 4;
+
+const trim = w => { const x = [...(w ?? [1])]; while (x.length > 1 && x[x.length-1] === 0) x.pop(); return x; };
+export const isNearest = kernel => {
+  if (!kernel) return true;
+  const h = trim(kernel.hop), c = trim(kernel.couple);
+  return h.length === 1 && h[0] === 1 && c.length === 1 && c[0] === 1;
+};
+
+// Stencil weights per range for Steps 2 and 3
+export const kernelWeights = (A, eps, kernel=NN_KERNEL) => ({
+  hop: trim(kernel.hop).map(w => A/2*w),
+  couple: trim(kernel.couple).map(v => eps*v),
+});
+
+const cosSum = (w, k) => w.reduce((s, x, r) => s + x*Math.cos((r+1)*k), 0);
+
+export const kernelSymbol = (k, A, B, eps, kernel=NN_KERNEL) =>
+  (A*cosSum(kernel?.hop ?? [1], k) + B)*(1 + 2*eps*cosSum(kernel?.couple ?? [1], k));
+
+export const gRateKernel = (k, A, B, eps, kernel) => {
+  if (isNearest(kernel)) return gRate(k, A, B, eps);
+  const lam = Math.abs(kernelSymbol(k, A, B, eps, kernel));
+  return lam < 1e-14 ? -Infinity : Math.log(lam);
+};
+
+// g(π+δ) − g(π) = c2δ² + c4δ⁴ + …, exactly from cos(r(π+δ)) = (−1)^r cos rδ
+export function piSeries(A, B, eps, kernel=NN_KERNEL) {
+  const moments = w => w.reduce(([m0, m2, m4], x, i) => {
+    const r = i+1, s = r%2 ? -x : x;
+    return [m0 + s, m2 - s*r*r/2, m4 + s*r**4/24];
+  }, [0, 0, 0]);
+  const [a0, a2, a4] = moments(kernel?.hop ?? [1]), [e0, e2, e4] = moments(kernel?.couple ?? [1]);
+  // log F with F = F0 + F2δ² + F4δ⁴ → (F2/F0)δ² + (F4/F0 − (F2/F0)²/2)δ⁴
+  const log = (f0, f2, f4) => [f2/f0, f4/f0 - (f2/f0)**2/2];
+  const [p2, p4] = log(A*a0 + B, A*a2, A*a4);
+  const [q2, q4] = log(1 + 2*eps*e0, 2*eps*e2, 2*eps*e4);
+  return {c2:p2 + q2, c4:p4 + q4};
+}
+
+export const gCurvKernel = (A, B, eps, kernel) =>
+  isNearest(kernel) ? gCurv(A, B, eps) : 2*piSeries(A, B, eps, kernel).c2;
+
+// Global maximum of |λ(k)| on [0, π]: grid scan, then golden section
+export function argmaxKernel(A, B, eps, kernel=NN_KERNEL, n=512) {
+  const g = k => Math.abs(kernelSymbol(k, A, B, eps, kernel));
+  let best = 0;
+  for (let i = 1; i <= n; i++) if (g(Math.PI*i/n) > g(Math.PI*best/n)) best = i;
+  let lo = Math.PI*Math.max(best-1, 0)/n, hi = Math.PI*Math.min(best+1, n)/n;
+  const phi = (Math.sqrt(5)-1)/2;
+  for (let it = 0; it < 60 && hi-lo > 1e-12; it++) {
+    const x1 = hi - phi*(hi-lo), x2 = lo + phi*(hi-lo);
+    if (g(x1) < g(x2)) lo = x1; else hi = x2;
+  }
+  const k = (lo+hi)/2, kb = Math.PI*best/n;
+  return g(k) >= g(kb) ? k : kb;
+}
+
+// Does some k beat π? Sampled away from π, where the local series rules.
+const piIsMax = (A, B, eps, kernel, n=256) => {
+  const gp = Math.abs(kernelSymbol(Math.PI, A, B, eps, kernel));
+  for (let i = 0; i < n; i++) if (Math.abs(kernelSymbol(Math.PI*i/n, A, B, eps, kernel)) > gp*(1+1e-12)) return false;
+  return true;
+};
+
+// ── Critical coupling ────────────────────────────────────────────────
+//   local   c2(ε) = 0, the Lifshitz condition, solved in closed form
+//   ec      first ε at which k = π stops being the global maximum; equal
+//           to `local` unless another mode overtakes π first
+//   jump    k* leaves π discontinuously: overtaken early, or c4 > 0 at
+//           the local point (past the Lifshitz/tricritical point)
+//   to      where the maximum jumps to (rad), null for a continuous onset
+// null when k = π is not the selected mode as ε → 0⁺ (or never leaves
+// it below epsMax). Numerical for every kernel, nearest-neighbour included.
+const EPS0 = 1e-6;
+
+export function solveCritical(A, B, kernel=NN_KERNEL, epsMax=2) {
+  if (!piIsMax(A, B, EPS0, kernel)) return null;
+  // c2 = p + 2εe2/(1+2εe0) with p the hop part: p(1+2εe0) + 2εe2 = 0
+  const {c2:p} = piSeries(A, B, 0, kernel);
+  const v = kernel?.couple ?? [1];
+  const e0 = v.reduce((s, x, i) => s + (i%2 ? x : -x), 0);
+  const e2 = v.reduce((s, x, i) => s + (i%2 ? -x : x)*(i+1)**2/2, 0);
+  const d = 2*(p*e0 + e2);
+  const local = Math.abs(d) > 1e-14 && -p/d > 0 ? -p/d : null;
+  const top = Math.min(local ?? epsMax, epsMax);
+  const n = 64;
+  let lo = 0, hi = null;
+  for (let i = 1; i <= n; i++) {
+    const e = top*i/n*(1 - 1e-9);
+    if (!piIsMax(A, B, e, kernel)) { hi = e; break; }
+    lo = e;
+  }
+  if (hi !== null) {
+    for (let it = 0; it < 50; it++) { const m = (lo+hi)/2; if (piIsMax(A, B, m, kernel)) lo = m; else hi = m; }
+    return {ec:(lo+hi)/2, local, jump:true, c4:local ? piSeries(A, B, local, kernel).c4 : null,
+      to:argmaxKernel(A, B, hi, kernel)};
+  }
+  if (local === null) return null;
+  const c4 = piSeries(A, B, local, kernel).c4;
+  return {ec:local, local, jump:c4 > 0, c4, to:c4 > 0 ? argmaxKernel(A, B, local*(1+1e-6), kernel) : null};
+}
+
+// Closed form (theory.js) for the nearest-neighbour kernel
+export function criticalKernel(A, B, kernel=NN_KERNEL, epsMax=2) {
+  if (!isNearest(kernel)) return solveCritical(A, B, kernel, epsMax);
+  const ec = computeEc(A, B);
+  return ec === null ? null : {ec, local:ec, jump:false, c4:piSeries(A, B, ec).c4, to:null};
+}
+
+export const computeEcKernel = (A, B, kernel) =>
+  isNearest(kernel) ? computeEc(A, B) : solveCritical(A, B, kernel)?.ec ?? null;
+
+const K_TOL = 1e-6;
+
+const phaseOfK = k => k <= K_TOL ? "Ferromagnetic" : Math.PI-k <= K_TOL ? "Antiferromagnetic" : "Incommensurate";
+
+// Selected mode and phase from the global maximum of |λ|, any kernel;
+// "Critical" within ±0.004 of the numerical εc
+export function solveMode(A, B, eps, kernel=NN_KERNEL) {
+  if (A === 0 && B === 0) return {k:null, phase:"Trivial"};
+  const k = argmaxKernel(A, B, eps, kernel);
+  const ec = solveCritical(A, B, kernel)?.ec ?? null;
+  return {k, phase:ec !== null && Math.abs(eps-ec) < 0.004 ? "Critical" : phaseOfK(k)};
+}
+
+// k* when the selected mode is incommensurate, else null (as kStarOf)
+export const kStarOfKernel = (A, B, eps, kernel) => {
+  if (isNearest(kernel)) return kStarOf(A, B, eps);
+  const k = argmaxKernel(A, B, eps, kernel);
+  return k > K_TOL && Math.PI-k > K_TOL ? k : null;
+};
+
+export const cosKstarKernel = (A, B, eps, kernel) => {
+  if (isNearest(kernel)) return cosKstar(A, B, eps);
+  const k = kStarOfKernel(A, B, eps, kernel);
+  return k === null ? null : Math.cos(k);
+};
+
+// Phase from the global maximum; "Critical" within ±0.004 of εc
+export const classifyPhaseKernel = (A, B, eps, kernel) =>
+  isNearest(kernel) ? classifyPhase(A, B, eps) : solveMode(A, B, eps, kernel).phase;
+
+// ── Closed forms vs the numerical solver ─────────────────────────────
+// Thm 5.2 / 6.1 (or the local Lifshitz εc of a longer-range kernel)
+// against solveCritical / argmax|λ|. Each entry reports
+//   status  "agree" | "fallback" (closed form undefined, solver has an
+//           answer) | "disagree" | "none" (neither has one)
+// Thm 6.1 predicts π below εc, k* above it and 0 for same-sign A, B.
+const EC_TOL = 1e-6, K_AGREE = 1e-4;
+const status = (closed, numeric, same) =>
+  closed === null ? (numeric === null ? "none" : "fallback")
+    : numeric !== null && same(closed, numeric) ? "agree" : "disagree";
+
+export function closedFormCheck(A, B, eps, kernel=NN_KERNEL) {
+  const near = isNearest(kernel);
+  const crit = solveCritical(A, B, kernel);
+  const ecClosed = near ? computeEc(A, B) : crit?.local ?? null;
+  const ecNum = crit?.ec ?? null;
+  const mode = solveMode(A, B, eps, kernel);
+  const kClosed = !near ? null
+    : ecClosed === null ? (A*B > 0 ? 0 : null)
+    : eps <= ecClosed ? Math.PI : kStarOf(A, B, eps);
+  const ec = {closed:ecClosed, numeric:ecNum, status:status(ecClosed, ecNum,
+    (a, b) => Math.abs(a-b) <= EC_TOL*Math.max(1, a))};
+  // At εc the maximum is quartically flat: a closed-form k that attains
+  // the maximal |λ| agrees even if the argmax sits a little off it
+  const lam = k => Math.abs(kernelSymbol(k, A, B, eps, kernel));
+  const k = {closed:kClosed, numeric:mode.k, status:near ? status(kClosed, mode.k,
+    (a, b) => Math.abs(a-b) <= K_AGREE || lam(a) >= lam(b)*(1 - 1e-10)) : "none"};
+  return {ec, k, phase:mode.phase, transition:crit, agree:ec.status !== "disagree" && k.status !== "disagree"};
+}
+
+// ── εc against one kernel weight ─────────────────────────────────────
+// Sweeps weight r of `which` ("hop" or "couple") over [min, max] with
+// the rest of the kernel fixed: how the Lifshitz point moves with, e.g.,
+// a third-neighbour term. null entries have no AFM → IC transition.
+export function lifshitzCurve(A, B, kernel, {which="couple", r=2, min=-1, max=1, n=61}={}) {
+  return Array.from({length:n}, (_,i) => {
+    const x = min + (max-min)*i/(n-1);
+    const w = [...(kernel?.[which] ?? [1])];
+    while (w.length < r) w.push(0);
+    w[r-1] = x;
+    const c = criticalKernel(A, B, {...NN_KERNEL, ...kernel, [which]:w});
+    return {x, ec:c?.ec ?? null, local:c?.local ?? null, jump:c?.jump ?? null, c4:c?.c4 ?? null};
+  });
+}
@@ -0,0 +1,116 @@
+import { rng } from "./rng.js";
+import { fft2 } from "./fft.js";
+import { snapK } from "./initial.js";
+
+// ── 2D square lattice (Def 2.2 on a W×H torus) ──────────────────────
+// Fields are row-major Float64Arrays, ψ[y·W + x], periodic in both axes.
+//   Step 2: Uᵢ = (A/4)Σₙₙψ + Bψᵢ        → (A c + B)
+//   Step 3: ψ''ᵢ = Uᵢ + (ε/2)ΣₙₙU        → (1 + 2εc),  c = (cos kx + cos ky)/2
+
+const nnSum = (f, W, H, x, y) => {
+  const o = y*W;
+  return f[o + (x-1+W)%W] + f[o + (x+1)%W] + f[((y-1+H)%H)*W + x] + f[((y+1)%H)*W + x];
+};
+
+export function caRawStep2d(psi, W, H, A, B, eps) {
+  const U = new Float64Array(W*H);
+  for (let y = 0; y < H; y++)
+    for (let x = 0; x < W; x++) U[y*W+x] = (A/4)*nnSum(psi, W, H, x, y) + B*psi[y*W+x];
+  const pp = new Float64Array(W*H);
+  for (let y = 0; y < H; y++)
+    for (let x = 0; x < W; x++) pp[y*W+x] = U[y*W+x] + (eps/2)*nnSum(U, W, H, x, y);
+  return pp;
+}
+
+// Step 4: ψ(t+1) = ψ''/‖ψ''‖
+export function caStep2d(psi, W, H, A, B, eps) {
+  const pp = caRawStep2d(psi, W, H, A, B, eps);
+  const norm = Math.sqrt(pp.reduce((s,v) => s+v*v, 0)) || 1;
+  return pp.map(v => v/norm);
+}
+
+// ── Initial conditions ───────────────────────────────────────────────
+//   random   uniform noise from rng(seed)
+//   delta    single site in the middle → 2D Green's function
+//   checker  (−1)^(x+y) plus `noise`·U(−½,½)
+//   plane    cos(kx·x + ky·y), k snapped to the lattice grid, plus noise
+export const INIT_KINDS_2D = ["random", "delta", "checker", "plane"];
+
+export function initialState2d(W, H, seed, kind="random", {noise=0.05, kxPi=0.5, kyPi=1}={}) {
+  const rand = rng(seed);
+  let psi;
+  switch (kind) {
+    case "random": psi = Float64Array.from({length:W*H}, () => rand()-0.5); break;
+    case "delta": psi = new Float64Array(W*H); psi[Math.floor(H/2)*W + Math.floor(W/2)] = 1; break;
+    case "checker":
+      psi = Float64Array.from({length:W*H}, (_,j) => ((j%W + Math.floor(j/W))%2 ? -1 : 1) + noise*(rand()-0.5));
+      break;
+    case "plane": {
+      const kx = snapK(kxPi, W), ky = snapK(kyPi, H);
+      psi = Float64Array.from({length:W*H}, (_,j) => Math.cos(kx*(j%W) + ky*Math.floor(j/W)) + noise*(rand()-0.5));
+      break;
+    }
+    default: throw new Error(`Unknown 2D initial condition "${kind}"`);
+  }
+  const norm = Math.sqrt(psi.reduce((s,v) => s+v*v, 0)) || 1;
+  return psi.map(v => v/norm);
+}
+
+// ── Spectrum ─────────────────────────────────────────────────────────
+// P[ky·W + kx] = |ψ̃|²/N in FFT order (index n ↔ k = 2πn/W, wrapped)
+export function powerSpectrum2d(psi, W, H) {
+  const re = Float64Array.from(psi), im = new Float64Array(W*H);
+  fft2(re, im, W, H);
+  return re.map((r,j) => (r*r + im[j]*im[j])/(W*H));
+}
+
+const wrapK = (n, N) => 2*Math.PI*(n > N/2 ? n-N : n)/N;
+
+// Strongest wavevector and how many ±k pairs of spectral peaks (local
+// maxima over the 8 neighbours) reach half its power: 1 pair → stripes,
+// 2 → square/two-q, more → labyrinth.
+export function patternOf2d(P, W, H) {
+  let m = 0;
+  for (let j = 1; j < P.length; j++) if (P[j] > P[m]) m = j;
+  let peaks = 0, selfConj = 0;
+  for (let y = 0; y < H; y++) for (let x = 0; x < W; x++) {
+    const v = P[y*W+x];
+    if (v < 0.5*P[m]) continue;
+    let top = true;
+    for (let dy = -1; dy <= 1 && top; dy++) for (let dx = -1; dx <= 1; dx++)
+      if ((dx || dy) && P[((y+dy+H)%H)*W + (x+dx+W)%W] > v) { top = false; break; }
+    if (!top) continue;
+    peaks++;
+    if ((2*x)%W === 0 && (2*y)%H === 0) selfConj++;
+  }
+  const pairs = selfConj + (peaks-selfConj)/2;
+  const kx = wrapK(m%W, W), ky = wrapK(Math.floor(m/W), H);
+  const at = (k, v) => Math.abs(Math.abs(k)-v) < 1e-9;
+  const label = at(kx,0) && at(ky,0) ? "uniform"
+    : at(kx,Math.PI) && at(ky,Math.PI) ? "checkerboard"
+    : pairs > 2 ? "labyrinth (multi-q)"
+    : pairs === 2 ? "square (two-q)"
+    : at(kx,0) || at(ky,0) || at(kx,Math.PI) || at(ky,Math.PI) ? "axial stripes"
+    : at(Math.abs(kx), Math.abs(ky)) ? "diagonal stripes"
+    : "oblique stripes";
+  return {kx, ky, kxPi:kx/Math.PI, kyPi:ky/Math.PI, pairs, label};
+}
+
+// ── Batch run ────────────────────────────────────────────────────────
+// Keeps about `frames` snapshots (always t=0 and t=T) of ψ and its
+// spectrum, as Float32Arrays to halve the worker → UI transfer.
+export function runSimulation2d({A, B, eps, W, H, T, seed, init="random", initOpts, frames=60}) {
+  const every = Math.max(1, Math.ceil(T/frames));
+  const out = [];
+  const keep = (t, psi) => {
+    const P = powerSpectrum2d(psi, W, H);
+    out.push({t, psi:Float32Array.from(psi), P:Float32Array.from(P), ...patternOf2d(P, W, H)});
+  };
+  let psi = initialState2d(W, H, seed, init, initOpts);
+  keep(0, psi);
+  for (let t = 1; t <= T; t++) {
+    psi = caStep2d(psi, W, H, A, B, eps);
+    if (t%every === 0 || t === T) keep(t, psi);
+  }
+  return {W, H, frames:out};
+}
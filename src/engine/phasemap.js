@@ -0,0 +1,45 @@
+import { initialState } from "./initial.js";
+import { spectralPropagator } from "./spectral.js";
+import { classifyPhase } from "./theory.js";
+import { peakK } from "./analysis.js";
+
+// ── Phase from a simulated spectrum ──────────────────────────────────
+// Peak on k=0 → FM, within `tolBins` modes of π → AFM, anywhere else → IC.
+export function classifySpectrum(P, L, tolBins=1) {
+  const {bin} = peakK(P, L);
+  if (bin === 0) return "Ferromagnetic";
+  if (P.length-1-bin <= tolBins) return "Antiferromagnetic";
+  return "Incommensurate";
+}
+
+// Analytic "Critical" accepts either neighbour; "Trivial" is not tested (null)
+export const phaseAgrees = (analytic, measured) =>
+  analytic === "Trivial" ? null
+    : analytic === "Critical" ? measured === "Antiferromagnetic" || measured === "Incommensurate"
+    : analytic === measured;
+
+// ── Simulated phase map on an n×n grid ───────────────────────────────
+// plane "AB": x = A, y = B at fixed ε; plane "epsB": x = ε, y = B at
+// fixed A. Every cell runs the exact spectral propagator from the same
+// seeded state to t = T and classifies the final spectrum. Cells are
+// row-major with y decreasing (row 0 = y1), ready to paint.
+export function simulatePhaseMap({plane="AB", A, eps, x0, x1, y0, y1, n=16, L=128, T=5000, seed=42}) {
+  const psi0 = initialState(L, seed, "random");
+  const measured = new Array(n*n), analytic = new Array(n*n);
+  for (let r = 0; r < n; r++) {
+    const y = y1 - ((r+0.5)/n)*(y1-y0);
+    for (let c = 0; c < n; c++) {
+      const x = x0 + ((c+0.5)/n)*(x1-x0);
+      const [a, b, e] = plane === "AB" ? [x, y, eps] : [A, y, x];
+      const P = spectralPropagator(psi0, a, b, e).spectrum(T);
+      measured[r*n+c] = classifySpectrum(P, L);
+      analytic[r*n+c] = classifyPhase(a, b, e);
+    }
+  }
+  let tested = 0, agree = 0;
+  for (let j = 0; j < n*n; j++) {
+    const ok = phaseAgrees(analytic[j], measured[j]);
+    if (ok !== null) { tested++; if (ok) agree++; }
+  }
+  return {plane, n, x0, x1, y0, y1, measured, analytic, agreement: tested ? agree/tested : null};
+}
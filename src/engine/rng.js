@@ -0,0 +1,8 @@
+// ── Seeded RNG (LCG) ─────────────────────────────────────────────────
+export const rng = seed => {
+  let s = seed >>> 0;
+  return () => { s = (Math.imul(1664525, s) + 1013904223) >>> 0; return s/0x100000000; };
+};
+
+// Standard normal draws from a uniform source (Box–Muller)
+export const gaussian = rand => () => Math.sqrt(-2*Math.log(1 - rand()))*Math.cos(2*Math.PI*rand());
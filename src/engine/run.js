@@ -0,0 +1,89 @@
+import { initialState } from "./initial.js";
+import { powerSpectrum, dominantK } from "./spectrum.js";
+import { spectralPropagator, checkSpectral } from "./spectral.js";
+import { computeEcKernel, kStarOfKernel, classifyPhaseKernel, closedFormCheck } from "./kernel.js";
+import { peakK, predictedK } from "./analysis.js";
+import { applyBoundary } from "./boundary.js";
+import { createExtendedStep, isLinear } from "./extensions.js";
+import { gapTheory, lyapunovPoint, lyapunovStats } from "./lyapunov.js";
+
+// ── Full run: T steps, history rows and sparse spectrum snapshots ────
+// Spectra are saved at t = 0, every `specEvery` steps and after the final
+// step, labelled like the history rows by the steps taken. Rows of
+// ψ are kept every `historyEvery` steps, every `siteStride`-th site, so
+// long runs on large rings stay small. method "spectral" jumps straight
+// to each saved time with the exact Fourier propagator and reports its
+// agreement with real-space caStep over the first ≤100 steps. `bc` is a
+// boundary condition from boundary.js; spectra then hold its allowed modes.
+// `ext` adds the nonlinear/stochastic terms of extensions.js (real only),
+// `kernel` the longer-range stencils of kernel.js (both methods).
+// `lyapunov` holds a lyapunov.js sample at every spectrum snapshot.
+export function runSimulation({A, B, eps, L, T, seed, init="random", specEvery=10,
+  method="real", historyEvery=1, siteStride=1, bc="periodic", ext=null, kernel=null}) {
+  const psi0 = applyBoundary(initialState(L, seed, init), bc);
+  const row = psi => Array.from(siteStride > 1 ? psi.filter((_,i) => i%siteStride === 0) : psi);
+  const history = [row(psi0)];
+  const specHistory = [], lyapunov = [];
+  const sample = (t, logNorm, P) => {
+    specHistory.push({t, P:Array.from(P)});
+    lyapunov.push(lyapunovPoint(t, t, logNorm, P, lyapunov[lyapunov.length-1]));
+  };
+  const due = t => t%specEvery === 0 || t === T;
+  sample(0, 0, powerSpectrum(psi0, bc));
+
+  if (method === "spectral") {
+    if (!isLinear(ext)) throw new Error("The spectral propagator needs the linear rule — turn off cubic, noise and disorder");
+    const prop = spectralPropagator(psi0, A, B, eps, bc, kernel);
+    const log0 = prop.logNorm(0);
+    for (let t = 1; t <= T; t++) {
+      if (t%historyEvery === 0) history.push(row(prop.state(t)));
+      if (due(t)) sample(t, prop.logNorm(t) - log0, prop.spectrum(t));
+    }
+    const steps = Math.min(T, 100);
+    return {history, specHistory, lyapunov, check:{steps, maxDiff:checkSpectral(psi0, A, B, eps, steps, bc, kernel)}};
+  }
+  if (method !== "real") throw new Error(`Unknown method "${method}"`);
+
+  let logNorm = 0;
+  const step = createExtendedStep(L, seed, ext, n => { logNorm += Math.log(n); });
+  let psi = psi0;
+  for (let t = 1; t <= T; t++) {
+    psi = step(psi, A, B, eps, bc, kernel);
+    if (t%historyEvery === 0) history.push(row(psi));
+    if (due(t)) sample(t, logNorm, powerSpectrum(psi, bc));
+  }
+  return {history, specHistory, lyapunov};
+}
+
+// ── Summary statistics for a finished run ────────────────────────────
+// The …Numerical fields come from the numerical solver (kernel.js) and
+// closedFormAgrees flags where Thm 5.2 / 6.1 miss its answer. lyapunov*
+// and gap* set the measured exponent and gap beside max g and g₁ − g₂.
+export function summarize({A, B, eps, L, T, seed, init="random", method="real", bc="periodic", ext=null, kernel=null},
+  {specHistory, lyapunov, check}) {
+  const initKind = typeof init === "string" ? init : init.kind;
+  const ec = computeEcKernel(A, B, kernel);
+  const kStar = kStarOfKernel(A, B, eps, kernel);
+  const last = specHistory[specHistory.length-1];
+  const kDom = last ? dominantK(last.P, L, bc) : null;
+  const kPeak = last ? peakK(last.P, L, bc).k : null;
+  const kPred = predictedK(A, B, eps, kernel);
+  const solved = closedFormCheck(A, B, eps, kernel);
+  const ly = lyapunovStats(lyapunov), gap = gapTheory(A, B, eps, L, bc, kernel);
+  return {
+    A, B, eps, L, T, seed, init: initKind, method, bc,
+    cubic: ext?.cubic ?? 0, noise: ext?.noise ?? 0, disorder: ext?.disorder ?? 0,
+    hop: (kernel?.hop ?? [1]).join(" "), couple: (kernel?.couple ?? [1]).join(" "),
+    ec, phase: classifyPhaseKernel(A, B, eps, kernel),
+    kStar, kStarPi: kStar !== null ? kStar/Math.PI : 1,
+    kDominant: kDom, kDominantPi: kDom !== null ? kDom/Math.PI : null,
+    kPeakPi: kPeak !== null ? kPeak/Math.PI : null,
+    kPredictedPi: kPred !== null ? kPred/Math.PI : null,
+    kDeviationPi: kPeak !== null && kPred !== null ? (kPeak-kPred)/Math.PI : null,
+    ecNumerical: solved.ec.numeric, kNumericalPi: solved.k.numeric !== null ? solved.k.numeric/Math.PI : null,
+    phaseNumerical: solved.phase, closedFormAgrees: solved.agree,
+    lyapunov: ly?.lyap ?? null, lyapunovPredicted: gap.gMax,
+    gapMeasured: ly?.gap ?? null, gapPredicted: gap.gap,
+    ...(check ? {spectralCheckSteps:check.steps, spectralCheckMaxDiff:check.maxDiff} : {}),
+  };
+}
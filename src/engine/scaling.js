@@ -0,0 +1,50 @@
+import { initialState } from "./initial.js";
+import { spectralPropagator } from "./spectral.js";
+import { criticalKernel } from "./kernel.js";
+import { linearFit } from "./stats.js";
+
+// ── Correlation length of an evolved state ───────────────────────────
+// A random start is run T steps by the exact propagator (spectral.js)
+// and ξ = 1/√⟨(π−k)²⟩ over its power spectrum. Above εc the weight
+// settles at π ± δ* with δ*² ∝ ε−εc, so ξ → 1/δ* ~ (ε−εc)^−½ once
+// T ≫ c₄/c₂². Below εc the peak at π only narrows, as 1/√(T|c₂|): ξ
+// grows with T and shrinks toward εc — a coarsening length, not a
+// static one. Near εc both saturate at ~(T c₄)^¼.
+export function correlationLength({A, B, eps, L, T=1e5, seed=42, kernel=null}) {
+  const P = spectralPropagator(initialState(L, seed, "random"), A, B, eps, "periodic", kernel).spectrum(T);
+  let s = 0, s2 = 0;
+  for (let k = 0; k < P.length; k++) {
+    const d = Math.PI - 2*Math.PI*k/L;
+    s += P[k]; s2 += P[k]*d*d;
+  }
+  if (!(s > 0) || !(s2 > 0)) return null;
+  return {xi:Math.sqrt(s/s2), width:Math.sqrt(s2/s)};
+}
+
+// ── ν from log ξ = log ξ₀ − ν log|ε−εc| ──────────────────────────────
+export function fitNu(points) {
+  const f = linearFit(points.map(p => Math.log(p.de)), points.map(p => Math.log(p.xi)));
+  return f && {nu:-f.b, err:f.seB, xi0:Math.exp(f.a), n:points.length};
+}
+
+// ── Scaling sweep on both sides of εc ────────────────────────────────
+// `n` geometric offsets |ε−εc|/εc ∈ [fracMin, fracMax] per side, all
+// from the same random start. Only `above` is an estimate of ν; `below`
+// is the slope of the coarsening length, ≈ −½ at large T. Offsets with
+// T(ε−εc)² below c₄ sit on the (T c₄)^¼ plateau and flatten both fits.
+// With a kernel the transition must be continuous for ξ to diverge.
+export function scalingSweep({A, B, L=4096, T=1e5, seed=42, n=8, fracMin=1e-3, fracMax=0.1, kernel=null}) {
+  const crit = criticalKernel(A, B, kernel);
+  if (!crit) throw new Error("no AFM→IC transition for these A, B");
+  if (crit.jump) throw new Error("first-order transition for this kernel — ξ stays finite at εc");
+  const {ec} = crit;
+  const fracs = Array.from({length:n}, (_,i) => fracMin*(fracMax/fracMin)**(i/Math.max(n-1, 1)));
+  const points = [];
+  for (const side of ["below", "above"]) for (const f of fracs) {
+    const eps = side === "below" ? ec*(1-f) : ec*(1+f);
+    const r = correlationLength({A, B, eps, L, T, seed, kernel});
+    if (r) points.push({side, eps, de:f*ec, frac:f, ...r});
+  }
+  const below = points.filter(p => p.side === "below"), above = points.filter(p => p.side === "above");
+  return {ec, T, points, below:fitNu(below), above:fitNu(above)};
+}
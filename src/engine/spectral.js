@@ -0,0 +1,113 @@
+import { fft, rfft } from "./fft.js";
+import { caStep } from "./ca.js";
+import { modeGrid, extend, restrict } from "./boundary.js";
+import { isNearest, kernelSymbol } from "./kernel.js";
+
+// ── Exact spectral propagator ────────────────────────────────────────
+// Steps 2+3 are diagonal in Fourier space: ψ̃ₖ → λ(k)ψ̃ₖ with
+// λ(k) = (A cosk + B)(1 + 2ε cosk), and Step 4 only rescales, so
+// ψ(t) = F⁻¹[λᵗψ̃(0)]/‖·‖. Powers are taken in log space so t = 10⁵
+// neither overflows nor underflows; logNorm(t) is log‖λᵗψ̃(0)‖ up to a
+// t-independent constant, the growth Step 4 removes. A `kernel` replaces cos k by its
+// range-r cosine sums (kernel.js).
+export const symbol = (k, A, B, eps, kernel=null) => isNearest(kernel)
+  ? (A*Math.cos(k) + B)*(1 + 2*eps*Math.cos(k))
+  : kernelSymbol(k, A, B, eps, kernel);
+
+// Other boundary conditions propagate their periodic extension (see
+// boundary.js) and read back the physical sites and allowed modes.
+export function spectralPropagator(psi0, A, B, eps, bc="periodic", kernel=null) {
+  if (bc !== "periodic") {
+    const L = psi0.length, {n0, step, count} = modeGrid(L, bc);
+    const ring = spectralPropagator(extend(psi0, bc), A, B, eps, "periodic", kernel);
+    return {
+      state: t => {
+        const psi = restrict(ring.state(t), L, bc);
+        const norm = Math.sqrt(psi.reduce((s,v) => s+v*v, 0)) || 1;
+        return psi.map(v => v/norm);
+      },
+      spectrum: t => {
+        const Pe = ring.spectrum(t);
+        return Float64Array.from({length:count}, (_,j) => Pe[n0 + j*step]);
+      },
+      logNorm: ring.logNorm,
+    };
+  }
+  const N = psi0.length;
+  const {re, im} = rfft(psi0);
+  const logLam = new Float64Array(N), negLam = new Uint8Array(N);
+  const logAmp = new Float64Array(N), phRe = new Float64Array(N), phIm = new Float64Array(N);
+  for (let m = 0; m < N; m++) {
+    const lam = symbol(2*Math.PI*m/N, A, B, eps, kernel);
+    logLam[m] = Math.log(Math.abs(lam));
+    negLam[m] = lam < 0 ? 1 : 0;
+    const a = Math.hypot(re[m], im[m]);
+    logAmp[m] = Math.log(a);
+    phRe[m] = a > 0 ? re[m]/a : 0;
+    phIm[m] = a > 0 ? im[m]/a : 0;
+  }
+
+  // log|ψ̃ₘ(t)| and its maximum
+  const logModes = t => {
+    const lg = new Float64Array(N);
+    let M = -Infinity;
+    for (let m = 0; m < N; m++) {
+      lg[m] = t === 0 ? logAmp[m] : logAmp[m] + t*logLam[m];
+      if (lg[m] > M) M = lg[m];
+    }
+    return {lg, M};
+  };
+
+  // Fourier amplitudes after t steps, scaled so the largest has modulus 1
+  const modes = t => {
+    const ar = new Float64Array(N), ai = new Float64Array(N);
+    const {lg, M} = logModes(t);
+    if (M === -Infinity) return {ar, ai};
+    for (let m = 0; m < N; m++) {
+      const f = Math.exp(lg[m] - M)*(negLam[m] && t%2 ? -1 : 1);
+      ar[m] = f*phRe[m]; ai[m] = f*phIm[m];
+    }
+    return {ar, ai};
+  };
+
+  const state = t => {
+    const {ar, ai} = modes(t);
+    fft(ar, ai, true);
+    let norm = 0;
+    for (let i = 0; i < N; i++) norm += ar[i]*ar[i];
+    norm = Math.sqrt(norm) || 1;
+    return ar.map(v => v/norm);
+  };
+
+  // Same normalization as powerSpectrum of the normalized state
+  const spectrum = t => {
+    const {ar, ai} = modes(t);
+    let S = 0;
+    for (let m = 0; m < N; m++) S += ar[m]*ar[m] + ai[m]*ai[m];
+    S = S || 1;
+    const half = Math.floor(N/2) + 1;
+    const P = new Float64Array(half);
+    for (let k = 0; k < half; k++) P[k] = (ar[k]*ar[k] + ai[k]*ai[k])/S;
+    return P;
+  };
+
+  const logNorm = t => {
+    const {lg, M} = logModes(t);
+    if (M === -Infinity) return -Infinity;
+    let S = 0;
+    for (let m = 0; m < N; m++) S += Math.exp(2*(lg[m] - M));
+    return M + 0.5*Math.log(S);
+  };
+
+  return {state, spectrum, logNorm};
+}
+
+// Max |Δψ| between t real-space caStep iterations and the spectral jump
+export function checkSpectral(psi0, A, B, eps, t, bc="periodic", kernel=null) {
+  let psi = psi0;
+  for (let s = 0; s < t; s++) psi = caStep(psi, A, B, eps, bc, kernel);
+  const jump = spectralPropagator(psi0, A, B, eps, bc, kernel).state(t);
+  let maxDiff = 0;
+  for (let i = 0; i < psi.length; i++) maxDiff = Math.max(maxDiff, Math.abs(psi[i]-jump[i]));
+  return maxDiff;
+}
@@ -0,0 +1,30 @@
+import { rfft } from "./fft.js";
+import { modeGrid, extend } from "./boundary.js";
+
+// ── Power spectrum via FFT ───────────────────────────────────────────
+// P[k] = |ψ̃ₖ|²/N for k = 0…N/2, same normalization as the textbook DFT.
+// Other boundary conditions transform the symmetric extension (sine,
+// cosine or half-integer modes) and keep only the allowed modes, so
+// P[j] belongs to k_j = k0 + j·dk of modeGrid; the ½ undoes the
+// extension's doubled norm.
+export function powerSpectrum(psi, bc="periodic") {
+  if (bc !== "periodic") {
+    const {n0, step, count} = modeGrid(psi.length, bc);
+    const Pe = powerSpectrum(extend(psi, bc));
+    return Float64Array.from({length:count}, (_,j) => Pe[n0 + j*step]/2);
+  }
+  const N = psi.length;
+  const half = Math.floor(N/2) + 1;
+  const {re, im} = rfft(psi);
+  const P = new Float64Array(half);
+  for (let k = 0; k < half; k++) P[k] = (re[k]*re[k] + im[k]*im[k])/N;
+  return P;
+}
+
+// Dominant wavevector (rad) of a spectrum P over L sites
+export function dominantK(P, L, bc="periodic") {
+  let best = 0;
+  for (let k = 1; k < P.length; k++) if (P[k] > P[best]) best = k;
+  const {k0, dk} = modeGrid(L, bc);
+  return k0 + best*dk;
+}
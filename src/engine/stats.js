@@ -0,0 +1,47 @@
+// ── Least-squares helpers ────────────────────────────────────────────
+
+// y = a + b·x with standard errors and cov(a,b); null if underdetermined
+export function linearFit(xs, ys) {
+  const m = xs.length;
+  if (m < 3) return null;
+  const mx = xs.reduce((s,v) => s+v, 0)/m, my = ys.reduce((s,v) => s+v, 0)/m;
+  let sxx = 0, sxy = 0;
+  for (let i = 0; i < m; i++) { sxx += (xs[i]-mx)**2; sxy += (xs[i]-mx)*(ys[i]-my); }
+  if (sxx === 0) return null;
+  const b = sxy/sxx, a = my - b*mx;
+  let ssr = 0;
+  for (let i = 0; i < m; i++) ssr += (ys[i] - a - b*xs[i])**2;
+  const s2 = ssr/(m-2);
+  return {
+    a, b,
+    seA: Math.sqrt(s2*(1/m + mx*mx/sxx)),
+    seB: Math.sqrt(s2/sxx),
+    cov: -mx*s2/sxx,
+  };
+}
+
+// Polynomial coefficients c₀…c_deg (normal equations, partial pivoting)
+export function polyFit(xs, ys, deg) {
+  const n = deg+1;
+  const M = Array.from({length:n}, () => new Float64Array(n+1));
+  for (let i = 0; i < xs.length; i++) {
+    const p = [1];
+    for (let d = 1; d < n; d++) p[d] = p[d-1]*xs[i];
+    for (let r = 0; r < n; r++) {
+      for (let c = 0; c < n; c++) M[r][c] += p[r]*p[c];
+      M[r][n] += p[r]*ys[i];
+    }
+  }
+  for (let c = 0; c < n; c++) {
+    let piv = c;
+    for (let r = c+1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[piv][c])) piv = r;
+    [M[c], M[piv]] = [M[piv], M[c]];
+    if (M[c][c] === 0) return null;
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = M[r][c]/M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f*M[c][k];
+    }
+  }
+  return M.map((row,i) => row[n]/row[i]);
+}
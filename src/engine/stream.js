@@ -0,0 +1,47 @@
+import { initialState } from "./initial.js";
+import { powerSpectrum } from "./spectrum.js";
+import { applyBoundary } from "./boundary.js";
+import { createExtendedStep } from "./extensions.js";
+import { lyapunovPoint } from "./lyapunov.js";
+
+// ── Open-ended run in a rolling window ───────────────────────────────
+// Keeps the rows of ψ(t) and the spectra of the last `window` steps,
+// with a lyapunov.js sample per spectrum. As in runSimulation, rows are
+// kept every `historyEvery` steps and every `siteStride`-th site, so a
+// long window on a large ring stays small; `rowsFrom` in the snapshot is
+// the t of the first row. A, B, ε and the kernel are passed per step so
+// parameters can be moved while the lattice keeps its current state.
+export function createStream({L, seed, init="random", window=250, specEvery=10, bc="periodic", ext=null,
+  historyEvery=1, siteStride=1}) {
+  let logNorm = 0;
+  const advance = createExtendedStep(L, seed, ext, n => { logNorm += Math.log(n); });
+  let psi = applyBoundary(initialState(L, seed, init), bc);
+  let t = 0;
+  const row = psi => Array.from(siteStride > 1 ? psi.filter((_,i) => i%siteStride === 0) : psi);
+  const rows = [row(psi)], rowTimes = [t];
+  const P0 = powerSpectrum(psi, bc);
+  const spectra = [{t, P:Array.from(P0)}];
+  const lyapunov = [lyapunovPoint(t, t, logNorm, P0)];
+
+  const step = (n, {A, B, eps, kernel=null}) => {
+    for (let s = 0; s < n; s++) {
+      psi = advance(psi, A, B, eps, bc, kernel);
+      t++;
+      if (t%historyEvery === 0) { rows.push(row(psi)); rowTimes.push(t); }
+      if (t%specEvery === 0) {
+        const P = powerSpectrum(psi, bc);
+        spectra.push({t, P:Array.from(P)});
+        lyapunov.push(lyapunovPoint(t, t, logNorm, P, lyapunov[lyapunov.length-1]));
+      }
+    }
+    const old = rowTimes.findIndex(r => r > t-window);
+    if (old > 0) { rows.splice(0, old); rowTimes.splice(0, old); }
+    while (spectra.length > 1 && spectra[0].t < t-window) spectra.shift();
+    while (lyapunov.length > 1 && lyapunov[0].t < t-window) lyapunov.shift();
+  };
+
+  const snapshot = () => ({t, rowsFrom:rowTimes[0], history:rows.slice(), specHistory:spectra.slice(),
+    lyapunov:lyapunov.slice()});
+
+  return {step, snapshot};
+}
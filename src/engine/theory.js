@@ -0,0 +1,71 @@
+// ── Linear theory (Thm 5.1, 5.2, 6.1) ────────────────────────────────
+// A ≡ u21·√2, B ≡ u22,  εc = A/[2(2A-B)]
+
+export const sgn = v => v > 0 ? 1 : v < 0 ? -1 : 0;
+
+export const computeEc = (A, B) => {
+  if (B === 0 || sgn(A) === sgn(B)) return null;
+  const d = 2*(2*A - B);
+  if (Math.abs(d) < 1e-12) return null;
+  const ec = A / d;
+  return ec > 0 ? ec : null;
+};
+
+// g(k,ε) = log|A cosk + B| + log|1 + 2ε cosk|
+export const gRate = (k, A, B, eps) => {
+  const lc = A*Math.cos(k) + B;
+  const le = 1 + 2*eps*Math.cos(k);
+  if (Math.abs(lc) < 1e-14 || Math.abs(le) < 1e-14) return -Infinity;
+  return Math.log(Math.abs(lc)) + Math.log(Math.abs(le));
+};
+
+// g''(π,ε) = A/(B-A) + 2ε/(1-2ε)
+export const gCurv = (A, B, eps) => A/(B-A) + (Math.abs(1-2*eps)>1e-12 ? 2*eps/(1-2*eps) : Infinity);
+
+// cos k* = -(A + 2εB)/(4εA)
+export const cosKstar = (A, B, eps) => {
+  const d = 4*eps*A;
+  if (Math.abs(d) < 1e-12) return null;
+  const v = -(A + 2*eps*B)/d;
+  return Math.abs(v) <= 1 ? v : null;
+};
+
+// Selected wavevector: k* above εc, null in the AFM phase (k = π)
+export const kStarOf = (A, B, eps) => {
+  const ec = computeEc(A, B);
+  if (!ec || eps <= ec) return null;
+  const cv = cosKstar(A, B, eps);
+  return cv !== null ? Math.acos(cv) : null;
+};
+
+// Phase label used by the badge; "Critical" within ±0.004 of εc
+export const classifyPhase = (A, B, eps) => {
+  const ec = computeEc(A, B);
+  if (ec === null) return sgn(A)===sgn(B) ? "Ferromagnetic" : "Trivial";
+  return eps < ec-0.004 ? "Antiferromagnetic"
+    : Math.abs(eps-ec) < 0.004 ? "Critical"
+    : "Incommensurate";
+};
+
+// ── Square lattice (2D Def 2.2) ──────────────────────────────────────
+// U = (A/4)Σₙₙψ + Bψ,  ψ'' = U + (ε/2)ΣₙₙU  →  λ = (Ac + B)(1 + 2εc),
+// c = (cos kx + cos ky)/2. The symbol is the ring's with cos k → c, so
+// εc is the same and the instability sets in at the checkerboard (π,π).
+export const cos2d = (kx, ky) => (Math.cos(kx) + Math.cos(ky))/2;
+
+export const gRate2d = (kx, ky, A, B, eps) => gRate(Math.acos(cos2d(kx, ky)), A, B, eps);
+
+export const computeEc2d = computeEc;
+
+// Above εc g is maximal on the whole contour c = cos k*: every vector on
+// it grows equally, so stripes, diagonals and their superpositions are
+// degenerate in linear theory. Returns c* with the axial (kx, π) and
+// diagonal (k, k) representatives, or null in the AFM phase.
+export const kStarVectors2d = (A, B, eps) => {
+  const ec = computeEc2d(A, B);
+  if (!ec || eps <= ec) return null;
+  const c = cosKstar(A, B, eps);
+  if (c === null) return null;
+  const d = Math.acos(c);
+  return {c, axial:[Math.acos(2*c+1), Math.PI], diagonal:[d, d]};
+};
@@ -0,0 +1,187 @@
+import { createContext } from "react";
+import { C, PRINT } from "./theme.js";
+
+// ── Figure export ────────────────────────────────────────────────────
+// Charts (recharts SVG) → standalone SVG or PNG; canvases → upscaled PNG
+// with title, axis labels and any SVG overlay. The parameter set goes
+// into <metadata> (SVG) or iTXt chunks (PNG). `print` swaps C for PRINT
+// in chart colours and in the frame; canvas data colours are kept.
+
+export const ExportContext = createContext({params:{}, print:false});
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const PNG_SCALE = 3;
+const FONT = "'Courier New', monospace";
+
+const toPrint = new Map(Object.keys(C).map(k => [C[k].toLowerCase(), PRINT[k]]));
+const rgbHex = s => {
+  const m = /^rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(s);
+  return m && "#" + m.slice(1, 4).map(v => (+v).toString(16).padStart(2, "0")).join("");
+};
+// #rrggbb with an optional alpha suffix, or rgb(); unknown colours pass through
+const printColor = v => {
+  if (!v) return v;
+  if (v[0] === "#") { const p = toPrint.get(v.slice(0, 7).toLowerCase()); return p ? p + v.slice(7) : v; }
+  const h = rgbHex(v);
+  return h && toPrint.has(h) ? toPrint.get(h) : v;
+};
+
+export const paramLine = params => Object.entries(params)
+  .map(([k, v]) => `${k}=${typeof v === "object" ? JSON.stringify(v) : typeof v === "number" ? +v.toFixed(6) : v}`)
+  .join(" · ");
+
+const fileName = (name, {A, B, eps}, ext) =>
+  `cml-${name}` + (A !== undefined ? `-A${+A.toFixed(4)}-B${+B.toFixed(4)}-eps${+eps.toFixed(4)}` : "") + `.${ext}`;
+
+export function download(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = name;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const el = (tag, attrs={}, text) => {
+  const e = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) e.setAttribute(k, v);
+  if (text !== undefined) e.textContent = text;
+  return e;
+};
+
+// ── PNG text chunks ──────────────────────────────────────────────────
+const CRC = Array.from({length:256}, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const crc32 = bytes => {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// Uncompressed iTXt (UTF-8) chunks inserted right after IHDR
+async function withPngText(blob, entries) {
+  const src = new Uint8Array(await blob.arrayBuffer());
+  const enc = new TextEncoder();
+  const chunks = Object.entries(entries).map(([key, text]) => {
+    const data = new Uint8Array([...enc.encode(key), 0, 0, 0, 0, 0, ...enc.encode(text)]);
+    const body = new Uint8Array([...enc.encode("iTXt"), ...data]);
+    const out = new Uint8Array(12 + data.length);
+    const dv = new DataView(out.buffer);
+    dv.setUint32(0, data.length);
+    out.set(body, 4);
+    dv.setUint32(8 + data.length, crc32(body));
+    return out;
+  });
+  const at = 8 + 25;   // signature + IHDR
+  return new Blob([src.slice(0, at), ...chunks, src.slice(at)], {type:"image/png"});
+}
+
+const loadImage = url => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error("Could not rasterize the figure"));
+  img.src = url;
+});
+
+const svgImage = svgText => {
+  const url = URL.createObjectURL(new Blob([svgText], {type:"image/svg+xml"}));
+  return loadImage(url).finally(() => URL.revokeObjectURL(url));
+};
+
+const canvasBlob = canvas => new Promise((resolve, reject) =>
+  canvas.toBlob(b => b ? resolve(b) : reject(new Error("PNG encoding failed")), "image/png"));
+
+const pngMeta = (title, params) => ({
+  Title: title, Description: paramLine(params), Parameters: JSON.stringify(params), Software: "frustrated-cml",
+});
+
+// ── Chart → standalone SVG text ──────────────────────────────────────
+// Title on top, the HTML legend redrawn as SVG text underneath.
+function chartSvg(root, {title, params, print}) {
+  const src = root.querySelector("svg.recharts-surface");
+  if (!src) throw new Error("No chart in this panel");
+  const {width:w, height:h} = src.getBoundingClientRect();
+  const W = Math.round(+src.getAttribute("width") || w), H = Math.round(+src.getAttribute("height") || h);
+  const legend = [...root.querySelectorAll(".recharts-legend-item-text")]
+    .map(s => ({text:s.textContent, color:s.style.color || C.text}));
+  const P = print ? PRINT : C;
+  const top = 24, bottom = legend.length ? 22 : 0;
+
+  const svg = el("svg", {width:W, height:H+top+bottom, viewBox:`0 0 ${W} ${H+top+bottom}`,
+    "font-family":FONT});
+  svg.appendChild(el("title", {}, title));
+  svg.appendChild(el("desc", {}, paramLine(params)));
+  svg.appendChild(el("metadata", {}, JSON.stringify(params)));
+  svg.appendChild(el("rect", {x:0, y:0, width:W, height:H+top+bottom, fill:P.card}));
+  svg.appendChild(el("text", {x:10, y:16, "font-size":11, "font-weight":700, fill:P.text}, title));
+  const g = el("g", {transform:`translate(0,${top})`});
+  for (const child of [...src.cloneNode(true).childNodes]) g.appendChild(child);
+  svg.appendChild(g);
+  let x = 10;
+  for (const {text, color} of legend) {
+    svg.appendChild(el("text", {x, y:top+H+15, "font-size":9, fill:color}, `■ ${text}`));
+    x += 14 + 6.5*text.length;
+  }
+  if (print) {
+    for (const node of svg.querySelectorAll("*")) {
+      for (const a of ["fill", "stroke", "stop-color", "color"]) {
+        const v = node.getAttribute(a), sv = node.style?.getPropertyValue(a);
+        if (v) node.setAttribute(a, printColor(v));
+        if (sv) node.style.setProperty(a, printColor(sv));
+      }
+    }
+  }
+  return new XMLSerializer().serializeToString(svg);
+}
+
+// ── Canvas → framed, upscaled PNG ────────────────────────────────────
+async function framedCanvas(root, {title, params, print, labels={}}) {
+  const src = root.querySelector("canvas");
+  if (!src) throw new Error("No image in this panel");
+  const box = src.getBoundingClientRect();
+  const w = Math.round((box.width || src.width)*PNG_SCALE), h = Math.round((box.height || src.height)*PNG_SCALE);
+  const P = print ? PRINT : C;
+  const m = {l:54, r:20, t:44, b:labels.x ? 70 : 44};
+  const out = document.createElement("canvas");
+  out.width = w+m.l+m.r; out.height = h+m.t+m.b;
+  const ctx = out.getContext("2d");
+  ctx.fillStyle = P.card; ctx.fillRect(0, 0, out.width, out.height);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(src, m.l, m.t, w, h);
+  // Overlays (εc curve, crosshair, k* rings) are SVG siblings of the canvas
+  const overlay = src.parentElement?.querySelector(":scope > svg");
+  if (overlay) {
+    const o = overlay.cloneNode(true);
+    o.setAttribute("width", w); o.setAttribute("height", h);
+    ctx.drawImage(await svgImage(new XMLSerializer().serializeToString(o)), m.l, m.t, w, h);
+  }
+  ctx.strokeStyle = P.border2; ctx.lineWidth = 2; ctx.strokeRect(m.l, m.t, w, h);
+  ctx.fillStyle = P.text; ctx.font = `bold 22px ${FONT}`; ctx.textBaseline = "middle";
+  ctx.fillText(title, m.l, m.t/2);
+  ctx.fillStyle = P.dim; ctx.font = `18px ${FONT}`; ctx.textAlign = "center";
+  if (labels.x) ctx.fillText(labels.x, m.l+w/2, m.t+h+24);
+  if (labels.y) {
+    ctx.save(); ctx.translate(m.l/2, m.t+h/2); ctx.rotate(-Math.PI/2); ctx.fillText(labels.y, 0, 0); ctx.restore();
+  }
+  ctx.textAlign = "left"; ctx.font = `14px ${FONT}`; ctx.fillStyle = P.muted;
+  ctx.fillText(paramLine(params), m.l, out.height-16);
+  return out;
+}
+
+// kind "chart": format svg | png; kind "canvas": png only
+export async function exportFigure(root, {name, kind, title=name, labels, params={}, print=false}, format) {
+  const opts = {title, labels, params, print};
+  if (kind === "chart") {
+    const text = chartSvg(root, opts);
+    if (format === "svg") return download(new Blob([text], {type:"image/svg+xml"}), fileName(name, params, "svg"));
+    const img = await svgImage(text);
+    const out = document.createElement("canvas");
+    out.width = img.width*PNG_SCALE; out.height = img.height*PNG_SCALE;
+    out.getContext("2d").drawImage(img, 0, 0, out.width, out.height);
+    return download(await withPngText(await canvasBlob(out), pngMeta(title, params)), fileName(name, params, "png"));
+  }
+  const out = await framedCanvas(root, opts);
+  download(await withPngText(await canvasBlob(out), pngMeta(title, params)), fileName(name, params, "png"));
+}
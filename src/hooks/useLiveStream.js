@@ -0,0 +1,71 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { createWorkerClient, CancelledError } from "../workers/client.js";
+
+const nextFrame = () => new Promise(r => requestAnimationFrame(r));
+
+// ── Live (play/pause/step) driver around the worker's stream ─────────
+// The stream is rebuilt whenever the lattice, boundary, extra terms,
+// sampling or initial state change; A, B, ε, kernel and speed are read
+// from a ref on every step, so one play loop survives their changes and
+// one step request is in flight at a time — a slow worker drops frames
+// instead of queueing them. Worker errors stop playback and show up as
+// `error` until the stream is rebuilt.
+export function useLiveStream({enabled, A, B, eps, kernel, L, seed, init, bc, ext, window, specEvery,
+  historyEvery=1, siteStride=1}) {
+  const [client] = useState(createWorkerClient);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [resets, setResets] = useState(0);
+  const [frame, setFrame] = useState(null);
+  const [failure, setFailure] = useState(null);
+  const params = useRef(null);
+  useEffect(() => { params.current = {A, B, eps, kernel, speed}; });
+
+  const config = useMemo(
+    () => enabled ? {L, seed, init, bc, ext, window, specEvery, historyEvery, siteStride, gen:resets} : null,
+    [enabled, L, seed, init, bc, ext, window, specEvery, historyEvery, siteStride, resets]);
+
+  useEffect(() => () => client.cancel(), [client]);
+
+  // Rejection handler: cancellations are expected, anything else is kept
+  const fail = cfg => err => {
+    if (err instanceof CancelledError) return;
+    setPlaying(false);
+    setFailure({config:cfg, message:err.message});
+  };
+
+  useEffect(() => {
+    if (!config) return;
+    client.cancel();
+    client.call("streamInit", config).then(f => setFrame({config, ...f}), fail(config));
+  }, [client, config]);
+
+  const ready = frame?.config === config;
+
+  useEffect(() => {
+    if (!ready || !playing) return;
+    let alive = true;
+    (async () => {
+      while (alive) {
+        const {A, B, eps, kernel, speed:n} = params.current;
+        const f = await client.call("streamStep", {n, A, B, eps, kernel});
+        if (!alive) break;
+        setFrame({config, ...f});
+        await nextFrame();
+      }
+    })().catch(fail(config));
+    return () => { alive = false; };
+  }, [client, config, ready, playing]);
+
+  return {
+    frame: ready ? frame : null, playing, speed, setSpeed,
+    error: failure?.config === config ? failure.message : null,
+    toggle: () => setPlaying(p => !p),
+    step: () => {
+      if (!ready) return;
+      setPlaying(false);
+      client.call("streamStep", {n:1, A, B, eps, kernel}).then(f => setFrame({config, ...f}), fail(config));
+    },
+    reset: () => { setPlaying(false); setResets(r => r+1); },
+  };
+}
@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react";
+import { createWorkerClient, CancelledError } from "../workers/client.js";
+
+// ── Progressive refinement: run `task` once per level, coarse first ──
+// Each level calls the worker with {...args, n}; the latest finished
+// level is shown while finer ones run. `args` must be memoized; null
+// means idle, and a new `args` cancels the remaining levels.
+export function useRefinedTask(task, args, levels) {
+  const [client] = useState(createWorkerClient);
+  const [done, setDone] = useState(null);
+
+  useEffect(() => () => client.cancel(), [client]);
+
+  useEffect(() => {
+    if (args == null) return;
+    client.cancel();
+    let alive = true;
+    (async () => {
+      for (const n of levels) {
+        const result = await client.call(task, {...args, n});
+        if (!alive) return;
+        setDone({args, n, result});
+      }
+    })().catch(err => {
+      if (alive && !(err instanceof CancelledError)) setDone({args, n:null, error:err.message});
+    });
+    return () => { alive = false; };
+  }, [client, task, args, levels]);
+
+  const current = done?.args === args;
+  return {
+    result: done?.result ?? null,
+    n: current ? done.n : null,
+    error: current ? done.error ?? null : null,
+    pending: args != null && !(current && (done.error || done.n === levels[levels.length-1])),
+  };
+}
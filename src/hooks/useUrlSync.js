@@ -0,0 +1,34 @@
+import { useEffect, useRef } from "react";
+import { writeUrlState, readUrlState } from "../urlState.js";
+
+// Changes closer together than this (a slider drag) share one history entry
+const BURST_MS = 600;
+
+// ── Keep the query string in step with `state` ───────────────────────
+// Each change rewrites the URL; a change after a pause pushes a new
+// history entry, so back/forward step through parameter sets. On
+// popstate the URL's state is handed to `apply`. `state` and `apply`
+// must be memoized.
+export function useUrlSync(state, apply, tabs) {
+  const last = useRef(0);
+  const first = useRef(true);
+
+  useEffect(() => {
+    const search = writeUrlState(state);
+    const initial = first.current;
+    first.current = false;
+    if (search === window.location.search) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const now = Date.now();
+    // the first write only canonicalizes the URL we were loaded with
+    if (!initial && now-last.current > BURST_MS) window.history.pushState(null, "", url);
+    else window.history.replaceState(null, "", url);
+    last.current = now;
+  }, [state]);
+
+  useEffect(() => {
+    const pop = () => apply(readUrlState(window.location.search, tabs));
+    window.addEventListener("popstate", pop);
+    return () => window.removeEventListener("popstate", pop);
+  }, [apply, tabs]);
+}
@@ -0,0 +1,27 @@
+import { useEffect, useState } from "react";
+import { createWorkerClient, CancelledError } from "../workers/client.js";
+
+// ── Run one worker task per `args` value, cancelling stale runs ──────
+// `args` must be memoized by the caller; null means "idle". The last
+// finished result stays available while a newer run is pending.
+export function useWorkerTask(task, args) {
+  const [client] = useState(createWorkerClient);
+  const [done, setDone] = useState(null);
+
+  useEffect(() => () => client.cancel(), [client]);
+
+  useEffect(() => {
+    if (args == null) return;
+    client.cancel();
+    client.call(task, args).then(
+      result => setDone({args, result}),
+      err => { if (!(err instanceof CancelledError)) setDone({args, error:err.message}); });
+  }, [client, task, args]);
+
+  const current = done?.args === args;
+  return {
+    result: done?.result ?? null,
+    error: current ? done.error ?? null : null,
+    pending: args != null && !current,
+  };
+}
@@ -0,0 +1,56 @@
+// ── Experiment presets ───────────────────────────────────────────────
+// A preset is a name plus a (partial) configuration in the URL-state
+// shape; applying one merges it over the current state. Built-ins set
+// only A, B (and ε); saved presets hold the full configuration and live
+// in localStorage. Preset files are JSON:
+//   {"format": "frustrated-cml-presets", "version": 1, "presets": [{name, config}]}
+
+export const QUICK_PRESETS = [
+  {name:"Hadamard (ε<εc)", config:{A:1, B:-Math.SQRT1_2, eps:0.12}, tone:"amber"},
+  {name:"Hadamard (ε>εc)", config:{A:1, B:-Math.SQRT1_2, eps:0.28}, tone:"green"},
+  {name:"A=1.5 B=-0.5", config:{A:1.5, B:-0.5, eps:0.15}},
+];
+
+// Tbl 3 rows, in table order
+export const BENCHMARK_PRESETS = [
+  {name:"Hadamard", config:{A:1, B:-Math.SQRT1_2}},
+  {name:"A=1.5, B=−0.5", config:{A:1.5, B:-0.5}},
+  {name:"A=0.8, B=−0.4", config:{A:0.8, B:-0.4}},
+  {name:"Pauli-X", config:{A:Math.SQRT2, B:0}},
+  {name:"Pauli-Z / I", config:{A:0, B:1}},
+];
+
+const STORAGE_KEY = "frustrated-cml.presets";
+const FORMAT = "frustrated-cml-presets";
+
+// Saved presets, [] when storage is empty, unavailable or corrupt
+export function loadPresets() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "[]");
+    return Array.isArray(list) ? list.filter(p => typeof p?.name === "string" && p.config) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function storePresets(list) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(list)); return true; }
+  catch { return false; }
+}
+
+// Insert or replace by name, keeping names sorted
+export const upsertPreset = (list, preset) =>
+  [...list.filter(p => p.name !== preset.name), preset].sort((a,b) => a.name.localeCompare(b.name));
+
+export const presetFile = list => JSON.stringify({format:FORMAT, version:1, presets:list}, null, 2);
+
+// Presets from a file's text; throws with a readable message
+export function parsePresetFile(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("Not a JSON file"); }
+  const list = Array.isArray(data) ? data : data?.presets;
+  if (!Array.isArray(list)) throw new Error(`Expected {"format": "${FORMAT}", "presets": […]}`);
+  const ok = list.filter(p => typeof p?.name === "string" && p.name.trim() && p.config && typeof p.config === "object");
+  if (!ok.length) throw new Error("No presets in file");
+  return ok.map(({name, config, saved}) => ({name:name.trim(), config, ...(saved ? {saved} : {})}));
+}
@@ -0,0 +1,24 @@
+// ── Palette ─────────────────────────────────────────────────────────
+export const C = {
+  bg:"#05080f", panel:"#090e1a", card:"#0c1220", border:"#14213a",
+  border2:"#1e3050", amber:"#f59e0b", amberL:"#fcd34d", amberD:"#78450a",
+  cyan:"#22d3ee", cyanD:"#0e7490", rose:"#fb7185", roseD:"#9f1239",
+  green:"#4ade80", greenD:"#166534", violet:"#a78bfa", violetD:"#4c1d95",
+  blue:"#60a5fa", blueD:"#1e3a5f",
+  muted:"#3d566e", text:"#b8cce0", dim:"#4a6070", dimL:"#7a90a0",
+  white:"#e8f4ff", grid:"#0f1a2b",
+};
+// Light "print" counterpart of C, key for key, used by figure export
+export const PRINT = {
+  bg:"#ffffff", panel:"#ffffff", card:"#ffffff", border:"#d0d7e0",
+  border2:"#b8c2cf", amber:"#b45309", amberL:"#d97706", amberD:"#f3d9a4",
+  cyan:"#0e7490", cyanD:"#a5e4f0", rose:"#be123c", roseD:"#f7b8c4",
+  green:"#15803d", greenD:"#b5e8c6", violet:"#6d28d9", violetD:"#d6c8fb",
+  blue:"#1d4ed8", blueD:"#bcd2f5",
+  muted:"#8a97a6", text:"#1f2933", dim:"#3e4c59", dimL:"#52606d",
+  white:"#111827", grid:"#e4e9ef",
+};
+export const tt = {
+  background:"#080d18", border:`1px solid ${C.border2}`,
+  borderRadius:6, fontFamily:"'Courier New', monospace", fontSize:10, color:C.text,
+};
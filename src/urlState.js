@@ -0,0 +1,96 @@
+import { INIT_DEFAULTS, INIT_KINDS, EXT_DEFAULTS, BOUNDARIES, NN_KERNEL, KERNEL_MAX_RANGE } from "./engine/index.js";
+
+// ── Shareable URL state ──────────────────────────────────────────────
+// The parameter set lives in the query string, e.g.
+// ?A=1.5&B=-0.5&eps=0.15&tab=bif. Values equal to their default are
+// left out, so a bare URL is the default configuration. Invalid or
+// unknown entries fall back to the default silently.
+
+export const URL_DEFAULTS = {
+  A:1, B:-1/Math.SQRT2, eps:0.12, L:120, T:250, seed:42, tab:"sim",
+  method:"real", bc:"periodic", plane:"AB", init:INIT_DEFAULTS, ext:EXT_DEFAULTS, kernel:NN_KERNEL,
+  specEvery:0,
+};
+
+// Slider ranges; A, B, ε outside them fall back to the default too
+export const PARAM_RANGE = {A:[0.1, 2], B:[-2, 2], eps:[0.001, 0.6]};
+
+const num = (min=-Infinity, max=Infinity) => v => {
+  const x = Number(v);
+  return v !== "" && Number.isFinite(x) && x >= min && x <= max ? x : undefined;
+};
+const int = (min, max) => v => { const x = num(min, max)(v); return Number.isInteger(x) ? x : undefined; };
+const oneOf = list => v => list.includes(v) ? v : undefined;
+const list = v => {
+  const xs = v === "" ? [] : v.split(",").map(Number);
+  return xs.every(Number.isFinite) ? xs : undefined;
+};
+const weights = v => { const xs = list(v); return xs?.length && xs.length <= KERNEL_MAX_RANGE ? xs : undefined; };
+
+// query key → [state path, parser]
+const FIELDS = {
+  A:        [["A"], num(...PARAM_RANGE.A)],
+  B:        [["B"], num(...PARAM_RANGE.B)],
+  eps:      [["eps"], num(...PARAM_RANGE.eps)],
+  L:        [["L"], int(8, 65536)],
+  T:        [["T"], int(10, 100000)],
+  seed:     [["seed"], int(0, 2147483647)],
+  specEvery:[["specEvery"], int(0, 10000)], // spectrum interval, 0 = auto
+  tab:      [["tab"], v => v],
+  method:   [["method"], oneOf(["real", "spectral"])],
+  bc:       [["bc"], oneOf(BOUNDARIES)],
+  plane:    [["plane"], oneOf(["AB", "epsB", "epsA"])],
+  init:     [["init", "kind"], oneOf(INIT_KINDS)],
+  kPi:      [["init", "kPi"], num(0, 1)],
+  sigma:    [["init", "sigma"], num(0.5)],
+  afmNoise: [["init", "noise"], num(0)],
+  center:   [["init", "center"], int(0)],
+  profile:  [["init", "profile"], list],
+  cubic:    [["ext", "cubic"], num(0)],
+  noise:    [["ext", "noise"], num(0)],
+  disorder: [["ext", "disorder"], num(0)],
+  hop:      [["kernel", "hop"], weights],
+  couple:   [["kernel", "couple"], weights],
+};
+
+const get = (obj, [k, sub]) => sub ? obj[k][sub] : obj[k];
+const fmt = v => Array.isArray(v) ? v.map(x => +x.toFixed(4)).join(",")
+  : typeof v === "number" ? String(+v.toPrecision(8)) : String(v);
+
+// Full state from a query string; `tabs` lists the valid tab ids
+export const readUrlState = (search, tabs) => parseEntries(new URLSearchParams(search), tabs);
+
+// Full, validated state from a (possibly partial) state object, as read
+// from a preset file; entries are checked with the same parsers
+export function normalizeState(obj, tabs) {
+  const q = new Map();
+  for (const [key, [path]] of Object.entries(FIELDS)) {
+    const v = path[1] ? obj[path[0]]?.[path[1]] : obj[path[0]];
+    if (v !== null && v !== undefined) q.set(key, fmt(v));
+  }
+  return parseEntries(q, tabs);
+}
+
+function parseEntries(q, tabs) {
+  const s = {...URL_DEFAULTS, init:{...URL_DEFAULTS.init}, ext:{...URL_DEFAULTS.ext}, kernel:{...URL_DEFAULTS.kernel}};
+  for (const [key, [path, parse]] of Object.entries(FIELDS)) {
+    if (!q.has(key)) continue;
+    const v = parse(q.get(key));
+    if (v === undefined) continue;
+    if (path[1]) s[path[0]][path[1]] = v; else s[path[0]] = v;
+  }
+  if (!tabs.includes(s.tab)) s.tab = URL_DEFAULTS.tab;
+  return s;
+}
+
+// "?key=value…" for the non-default entries, "" when all are defaults
+export function writeUrlState(state) {
+  const q = new URLSearchParams();
+  for (const [key, [path]] of Object.entries(FIELDS)) {
+    const v = get(state, path), d = get(URL_DEFAULTS, path);
+    if (v === null || v === undefined || fmt(v) === fmt(d)) continue;
+    q.set(key, fmt(v));
+  }
+  const str = q.toString();
+  return str ? `?${str}` : "";
+}
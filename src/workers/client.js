@@ -0,0 +1,45 @@
+// ── Promise client for sim.worker.js ─────────────────────────────────
+// cancel() terminates the worker outright, so a stale run stops even in
+// the middle of a long synchronous loop; the next call() respawns it.
+export class CancelledError extends Error {
+  constructor() { super("Worker task cancelled"); this.name = "CancelledError"; }
+}
+
+export function createWorkerClient() {
+  let worker = null;
+  let seq = 0;
+  const pending = new Map();
+
+  const rejectAll = err => {
+    for (const {reject} of pending.values()) reject(err);
+    pending.clear();
+  };
+
+  const spawn = () => {
+    worker = new Worker(new URL("./sim.worker.js", import.meta.url), {type:"module"});
+    worker.onmessage = ({data:{id, result, error}}) => {
+      const p = pending.get(id);
+      if (!p) return;
+      pending.delete(id);
+      if (error !== undefined) p.reject(new Error(error));
+      else p.resolve(result);
+    };
+    worker.onerror = e => { rejectAll(new Error(e.message || "Worker crashed")); cancel(); };
+  };
+
+  const call = (task, args) => {
+    if (!worker) spawn();
+    const id = ++seq;
+    return new Promise((resolve, reject) => {
+      pending.set(id, {resolve, reject});
+      worker.postMessage({id, task, args});
+    });
+  };
+
+  const cancel = () => {
+    if (worker) { worker.terminate(); worker = null; }
+    rejectAll(new CancelledError());
+  };
+
+  return {call, cancel};
+}
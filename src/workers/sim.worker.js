@@ -0,0 +1,38 @@
+// ── Simulation worker ────────────────────────────────────────────────
+// Runs engine tasks off the main thread. Messages in: {id, task, args};
+// out: {id, result} or {id, error}. The live stream's state lives here
+// between streamInit and streamStep calls.
+import {
+  runSimulation, createStream, measureGrowth, sweepEps, scalingSweep, runSimulation2d, runWalk,
+  simulatePhaseMap,
+} from "../engine/index.js";
+
+let stream = null;
+
+const tasks = {
+  simulate: params => runSimulation(params),
+  simulate2d: params => runSimulation2d(params),
+  walk: params => runWalk(params),
+  growth: params => measureGrowth(params),
+  sweepEps: params => sweepEps(params),
+  scaling: params => scalingSweep(params),
+  phaseMap: params => simulatePhaseMap(params),
+  streamInit: config => {
+    stream = createStream(config);
+    return stream.snapshot();
+  },
+  streamStep: ({n, A, B, eps, kernel}) => {
+    if (!stream) throw new Error("streamStep before streamInit");
+    stream.step(n, {A, B, eps, kernel});
+    return stream.snapshot();
+  },
+};
+
+self.onmessage = ({data:{id, task, args}}) => {
+  try {
+    if (!tasks[task]) throw new Error(`Unknown worker task "${task}"`);
+    self.postMessage({id, result:tasks[task](args)});
+  } catch (e) {
+    self.postMessage({id, error:e.message});
+  }
+};
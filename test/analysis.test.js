@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  peakK, kTrack, predictedK, compareK, runSimulation, kStarOf, computeEc, measureGrowth, modeGrid,
+} from "../src/engine/index.js";
+
+const A = 1, B = -Math.SQRT1_2;
+
+// ── Peak k and the measured-vs-predicted comparison ──────────────────
+test("peakK recovers the centre of a Gaussian peak between bins", () => {
+  const L = 128, dk = 2*Math.PI/L;
+  for (const k0 of [1.234, 2.0001, 0.5 + dk/2]) {
+    const P = Float64Array.from({length:L/2 + 1}, (_,m) => Math.exp(-(((m*dk - k0)/(3*dk))**2)));
+    assert.ok(Math.abs(peakK(P, L).k - k0) < 1e-9, `k0=${k0}`);
+  }
+});
+
+test("peakK leaves maxima on k=0 and k=π on the edge", () => {
+  const P = Float64Array.from({length:33}, (_,m) => m);
+  assert.equal(peakK(P, 64).kPi, 1);
+  assert.equal(peakK(P.reverse(), 64).kPi, 0);
+});
+
+test("predictedK follows the phase", () => {
+  const ec = computeEc(A, B);
+  assert.equal(predictedK(A, B, ec/2), Math.PI);
+  assert.equal(predictedK(A, B, 2*ec), kStarOf(A, B, 2*ec));
+  assert.equal(predictedK(A, 0.5, 0.1), 0);
+});
+
+test("a run settles on the predicted mode within one bin", () => {
+  const L = 256;
+  for (const eps of [0.12, 0.28]) {
+    const {specHistory} = runSimulation({A, B, eps, L, T:3000, seed:3, specEvery:100, method:"spectral"});
+    const cmp = compareK(kTrack(specHistory, L), A, B, eps, L);
+    assert.ok(Math.abs(cmp.devPred) < cmp.binWidth, `ε=${eps}: ${cmp.devPred}`);
+  }
+});
+
+// ── Growth rate per Fourier mode ─────────────────────────────────────
+test("measureGrowth matches g(k) on every allowed mode", () => {
+  for (const bc of ["periodic", "open", "antiperiodic"]) {
+    const rows = measureGrowth({A, B, eps:0.28, L:60, seed:4, steps:10, bc});
+    assert.equal(rows.length, modeGrid(60, bc).count);
+    for (const r of rows) {
+      if (!isFinite(r.gTheory)) continue;
+      assert.ok(Math.abs(r.residual) < 1e-8 && r.gStd < 1e-6, `${bc} k/π=${r.kPi}`);
+    }
+  }
+});
+
+test("measureGrowth follows a kernel", () => {
+  const kernel = {hop:[1, 0.3], couple:[1, -0.2]};
+  for (const r of measureGrowth({A, B, eps:0.2, L:48, seed:1, steps:5, kernel})) {
+    if (isFinite(r.gTheory)) assert.ok(Math.abs(r.residual) < 1e-8, `k/π=${r.kPi}`);
+  }
+});
+
+test("a pure-mode start measures only its own k", () => {
+  const rows = measureGrowth({A, B, eps:0.28, L:64, seed:0, steps:5, init:{kind:"plane", kPi:0.375}});
+  const measured = rows.filter(r => r.g !== null);
+  assert.equal(measured.length, 1);
+  assert.ok(Math.abs(measured[0].kPi - 0.375) < 1e-12);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { computeEc, powerSpectrum } from "../src/engine/index.js";
+
+const BIN = fileURLToPath(new URL("../bin/ca-sim.js", import.meta.url));
+const sim = (...args) => spawnSync(process.execPath, [BIN, ...args], {encoding:"utf8"});
+const json = (...args) => {
+  const r = sim(...args);
+  assert.equal(r.status, 0, r.stderr);
+  return JSON.parse(r.stdout);
+};
+
+// ── ca-sim ───────────────────────────────────────────────────────────
+test("summary reports the parameters, εc and an incommensurate k", () => {
+  const {summary, history} = json("-A", "1", "-B-0.7071067811865476", "-e", "0.28", "-L", "120", "-T", "250", "--summary-only");
+  assert.equal(history, undefined);
+  assert.equal(summary.L, 120);
+  assert.equal(summary.eps, 0.28);
+  assert.ok(Math.abs(summary.ec - computeEc(1, -Math.SQRT1_2)) < 1e-12);
+  assert.equal(summary.phase, "Incommensurate");
+  assert.ok(Math.abs(summary.kDominantPi - summary.kStarPi) < 0.05);
+});
+
+test("spectra share the history time index", () => {
+  for (const method of ["real", "spectral"]) {
+    const {history, specHistory} = json("-L", "64", "-T", "45", "--spec-every", "10", "-m", method);
+    assert.equal(history.length, 46);
+    assert.deepEqual(specHistory.map(s => s.t), [0, 10, 20, 30, 40, 45]);
+    for (const {t, P} of specHistory) {
+      const Q = powerSpectrum(history[t]);
+      assert.ok(P.every((v, k) => Math.abs(v - Q[k]) < 1e-10), `${method} t=${t}`);
+    }
+  }
+});
+
+test("csv writes summary, history and spectra files", () => {
+  const dir = mkdtempSync(join(tmpdir(), "ca-sim-"));
+  try {
+    const out = join(dir, "run");
+    const r = sim("-L", "16", "-T", "20", "-f", "csv", "-o", out);
+    assert.equal(r.status, 0, r.stderr);
+    const lines = f => readFileSync(`${out}.${f}.csv`, "utf8").trim().split("\n");
+    const hist = lines("history"), spec = lines("spectra"), summary = lines("summary");
+    assert.equal(hist.length, 22);
+    assert.equal(hist[0].split(",").length, 17);
+    assert.deepEqual(spec.slice(1).map(l => +l.split(",")[0]), [0, 10, 20]);
+    assert.equal(spec[0].split(",").length, 1 + 9);
+    assert.equal(summary.length, 2);
+    assert.ok(summary[0].split(",").includes("ec"));
+  } finally {
+    rmSync(dir, {recursive:true, force:true});
+  }
+});
+
+test("invalid options exit 1 with a message and the usage", () => {
+  for (const args of [["-L", "x"], ["-b", "mobius"], ["-i", "custom"], ["-f", "csv"], ["--hop=1,1,1,1,1"]]) {
+    const r = sim(...args);
+    assert.equal(r.status, 1, args.join(" "));
+    assert.match(r.stderr, /^ca-sim: .+\n\nUsage:/);
+  }
+});
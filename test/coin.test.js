@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { COIN_PRESETS, unitarityError, coinToAB, runWalk } from "../src/engine/index.js";
+
+// ── Coin picture ─────────────────────────────────────────────────────
+test("presets are unitary; a scaled coin is not", () => {
+  for (const [name, coin] of Object.entries(COIN_PRESETS)) assert.ok(unitarityError(coin) < 1e-12, name);
+  const {re, im} = COIN_PRESETS.hadamard;
+  assert.ok(unitarityError({re:re.map(v => 1.1*v), im}) > 0.1);
+});
+
+test("coinToAB reads A = √2·u₂₁, B = u₂₂", () => {
+  const h = coinToAB(COIN_PRESETS.hadamard);
+  assert.ok(h.real && Math.abs(h.A.re - 1) < 1e-12 && Math.abs(h.B.re + Math.SQRT1_2) < 1e-12);
+  const z = coinToAB(COIN_PRESETS.pauliZ);
+  assert.deepEqual([z.A.re, z.B.re], [0, -1]);
+  const hs = coinToAB(COIN_PRESETS.hadamardS);
+  assert.ok(!hs.real && Math.abs(hs.B.im + Math.SQRT1_2) < 1e-12);
+});
+
+test("with u₂₁ = 0 the walk follows the CML exactly", () => {
+  for (const name of ["pauliZ", "identity"]) {
+    const r = runWalk({coin:COIN_PRESETS[name], eps:0.2, L:40, T:60, seed:1});
+    assert.ok(Math.max(...r.diff) < 1e-12, name);
+  }
+});
+
+test("with u₂₁ ≠ 0 the upper slot feeds back and the walk leaves the CML", () => {
+  const r = runWalk({coin:COIN_PRESETS.hadamard, eps:0.28, L:40, T:60, seed:1});
+  assert.equal(r.diff[0], 0);
+  assert.ok(r.upper.at(-1) > 0.01);
+  assert.ok(Math.max(...r.diff) > 0.1);
+});
+
+test("rows are thinned by historyEvery, keep t = T and hold |b|² at unit norm", () => {
+  const r = runWalk({coin:COIN_PRESETS.hadamard, eps:0.2, L:24, T:25, seed:0, historyEvery:10, siteStride:2});
+  assert.equal(r.prob.length, 4);
+  assert.equal(r.prob[0].length, 12);
+  const full = runWalk({coin:COIN_PRESETS.hadamard, eps:0.2, L:24, T:25, seed:0});
+  for (const row of full.prob) assert.ok(Math.abs(row.reduce((s, v) => s + v, 0) - 1) < 1e-12);
+});
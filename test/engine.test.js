@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BOUNDARIES, caStep, spectralPropagator, initialState, computeEc, gCurv, fft,
+} from "../src/engine/index.js";
+
+const maxDiff = (a, b) => a.reduce((m, v, i) => Math.max(m, Math.abs(v - b[i])), 0);
+
+// ── caStep against the exact Fourier propagator ──────────────────────
+const CASES = [
+  {A:1, B:-Math.SQRT1_2, eps:0.28},
+  {A:0.8, B:-0.4, eps:0.12},
+  {A:1.5, B:0.3, eps:0.05},
+];
+
+for (const bc of BOUNDARIES) {
+  test(`caStep matches spectralPropagator, ${bc}`, () => {
+    for (const L of [64, 60]) for (const {A, B, eps} of CASES) {
+      const psi0 = initialState(L, 7, "random");
+      const jump = spectralPropagator(psi0, A, B, eps, bc);
+      let psi = psi0;
+      for (let t = 1; t <= 40; t++) {
+        psi = caStep(psi, A, B, eps, bc);
+        if (t % 10 === 0) assert.ok(maxDiff(psi, jump.state(t)) < 1e-9, `L=${L} A=${A} B=${B} ε=${eps} t=${t}`);
+      }
+    }
+  });
+}
+
+test("caStep matches spectralPropagator with a range-3 kernel", () => {
+  const kernel = {hop:[1, 0.2], couple:[1, 0, -0.15]};
+  const psi0 = initialState(96, 3, "random");
+  let psi = psi0;
+  for (let t = 0; t < 30; t++) psi = caStep(psi, 1, -0.7, 0.2, "periodic", kernel);
+  assert.ok(maxDiff(psi, spectralPropagator(psi0, 1, -0.7, 0.2, "periodic", kernel).state(30)) < 1e-9);
+});
+
+// ── Thm 5.2: εc = A/[2(2A−B)] ────────────────────────────────────────
+test("computeEc matches the closed form and zeroes g''(π)", () => {
+  for (const A of [0.3, 0.8, 1, 1.7]) for (const B of [-1.5, -Math.SQRT1_2, -0.2]) {
+    const ec = computeEc(A, B);
+    assert.ok(Math.abs(ec - A/(2*(2*A - B))) < 1e-15, `A=${A} B=${B}`);
+    assert.ok(Math.abs(gCurv(A, B, ec)) < 1e-12, `g''(π) at εc, A=${A} B=${B}`);
+  }
+});
+
+test("computeEc is null without frustration", () => {
+  assert.equal(computeEc(1, 0), null);
+  assert.equal(computeEc(1, 0.5), null);
+  assert.equal(computeEc(-1, -0.5), null);
+});
+
+// ── FFT ──────────────────────────────────────────────────────────────
+for (const n of [1, 8, 1024, 60, 127]) {
+  test(`fft round trip, N=${n}`, () => {
+    const x = initialState(n, 11, "random"), y = initialState(n, 12, "random");
+    const re = Float64Array.from(x), im = Float64Array.from(y);
+    fft(re, im);
+    fft(re, im, true);
+    assert.ok(maxDiff(re, x) < 1e-12 && maxDiff(im, y) < 1e-12);
+  });
+}
+
+test("fft of a unit impulse is flat", () => {
+  for (const n of [16, 30]) {
+    const re = new Float64Array(n), im = new Float64Array(n);
+    re[0] = 1;
+    fft(re, im);
+    assert.ok(maxDiff(re, new Float64Array(n).fill(1)) < 1e-12 && maxDiff(im, new Float64Array(n)) < 1e-12);
+  }
+});
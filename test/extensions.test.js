@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BOUNDARIES, isLinear, createExtendedStep, caStep, initialState, powerSpectrum, runSimulation,
+} from "../src/engine/index.js";
+
+const A = 1, B = -Math.SQRT1_2, eps = 0.28;
+const maxDiff = (a, b) => a.reduce((m, v, i) => Math.max(m, Math.abs(v - b[i])), 0);
+
+// ── Nonlinear and stochastic extensions ──────────────────────────────
+test("isLinear is true only without cubic, noise and disorder", () => {
+  assert.ok(isLinear(null) && isLinear({cubic:0, noise:0, disorder:0}));
+  for (const ext of [{cubic:0.1}, {noise:0.1}, {disorder:0.1}]) assert.ok(!isLinear(ext));
+});
+
+test("a vanishing cubic term reproduces caStep on every boundary and a kernel", () => {
+  const L = 40;
+  for (const bc of BOUNDARIES) for (const kernel of [null, {hop:[1, 0.3], couple:[1, 0, -0.1]}]) {
+    const step = createExtendedStep(L, 1, {cubic:1e-13});
+    let a = initialState(L, 2), b = a;
+    for (let t = 0; t < 20; t++) { a = step(a, A, B, eps, bc, kernel); b = caStep(b, A, B, eps, bc, kernel); }
+    assert.ok(maxDiff(a, b) < 1e-9, `${bc} ${kernel ? "kernel" : "NN"}`);
+  }
+});
+
+test("the cubic term leaves a Néel state a Néel state", () => {
+  const L = 32, step = createExtendedStep(L, 0, {cubic:0.2});
+  const neel = initialState(L, 0, {kind:"afm", noise:0});
+  // λ(π) = (B−A)(1−2ε) < 0: the linear part only flips the sign
+  assert.ok(maxDiff(step(neel, A, B, 0.1, "periodic"), neel.map(v => -v)) < 1e-12);
+});
+
+test("noise and disorder are reproducible per seed and keep ψ(0)", () => {
+  const run = (seed, ext) => runSimulation({A, B, eps, L:48, T:30, seed, ext});
+  for (const ext of [{noise:0.1}, {disorder:0.2}]) {
+    const a = run(5, ext), b = run(5, ext), c = run(6, ext), lin = run(5, null);
+    assert.deepEqual(a.history, b.history);
+    assert.notDeepEqual(a.history.at(-1), c.history.at(-1));
+    assert.deepEqual(a.history[0], lin.history[0]);
+    assert.ok(maxDiff(a.history.at(-1), lin.history.at(-1)) > 1e-3);
+  }
+});
+
+test("quenched disorder scatters a plane wave into other modes", () => {
+  const L = 64, plane = initialState(L, 0, {kind:"plane", kPi:0.5});
+  const share = psi => { const P = powerSpectrum(psi); return P[16]/P.reduce((s, v) => s + v, 0); };
+  assert.ok(share(createExtendedStep(L, 3, {cubic:1e-13})(plane, A, B, eps)) > 1 - 1e-12);
+  assert.ok(share(createExtendedStep(L, 3, {disorder:0.3})(plane, A, B, eps)) < 0.99);
+});
+
+test("the spectral method refuses the extended rule", () => {
+  assert.throws(() => runSimulation({A, B, eps, L:16, T:4, seed:0, method:"spectral", ext:{noise:0.1}}), /linear rule/);
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  INIT_KINDS, initialState, snapK, parseProfile, resampleProfile, powerSpectrum, dominantK,
+} from "../src/engine/index.js";
+
+const norm = psi => Math.sqrt(psi.reduce((s, v) => s + v*v, 0));
+const close = (a, b, tol=1e-12) => Math.abs(a - b) < tol;
+
+// ── Initial conditions ───────────────────────────────────────────────
+test("every kind is normalized", () => {
+  for (const kind of INIT_KINDS) {
+    const psi = initialState(100, 5, {kind, profile:[0, 1, -2]});
+    assert.equal(psi.length, 100);
+    assert.ok(close(norm(psi), 1), kind);
+  }
+});
+
+test("random states repeat per seed and differ across seeds", () => {
+  assert.deepEqual(initialState(50, 9), initialState(50, 9));
+  assert.notDeepEqual(initialState(50, 9), initialState(50, 10));
+});
+
+test("delta sits on `center`, wrapped onto the ring", () => {
+  assert.equal(initialState(20, 0, "delta")[10], 1);
+  assert.equal(initialState(20, 0, {kind:"delta", center:3})[3], 1);
+  assert.equal(initialState(20, 0, {kind:"delta", center:-1})[19], 1);
+});
+
+test("plane and afm put all weight on one mode", () => {
+  const L = 64;
+  for (const [init, k] of [[{kind:"plane", kPi:0.3}, snapK(0.3, L)], [{kind:"afm", noise:0}, Math.PI]]) {
+    const P = powerSpectrum(initialState(L, 1, init));
+    const total = P.reduce((s, v) => s + v, 0);
+    assert.ok(close(dominantK(P, L), k), JSON.stringify(init));
+    assert.ok(P[Math.round(k*L/(2*Math.PI))]/total > 0.999, JSON.stringify(init));
+  }
+  assert.ok(close(snapK(0.3, 64), 2*Math.PI*10/64));
+});
+
+test("packet peaks near its carrier and is centred on `center`", () => {
+  const L = 256, psi = initialState(L, 0, {kind:"packet", kPi:0.5, sigma:12, center:80});
+  assert.ok(Math.abs(dominantK(powerSpectrum(psi), L)/Math.PI - 0.5) < 0.02);
+  const at = psi.reduce((m, v, i) => Math.abs(v) > Math.abs(psi[m]) ? i : m, 0);
+  assert.equal(at, 80);
+});
+
+test("custom profiles are parsed and linearly resampled", () => {
+  assert.deepEqual(parseProfile("1, 2;3\n 4\tx 5"), [1, 2, 3, 4, 5]);
+  assert.deepEqual([...resampleProfile([0, 2], 5)], [0, 0.5, 1, 1.5, 2]);
+  assert.deepEqual([...resampleProfile([3], 3)], [3, 3, 3]);
+  const psi = initialState(5, 0, {kind:"custom", profile:[0, 2]});
+  assert.ok(close(psi[4]/psi[2], 2));
+});
+
+test("empty custom profiles and unknown kinds throw", () => {
+  assert.throws(() => initialState(10, 0, {kind:"custom", profile:[]}), /empty or all zero/);
+  assert.throws(() => initialState(10, 0, {kind:"custom", profile:[0, 0]}), /empty or all zero/);
+  assert.throws(() => initialState(10, 0, "spiral"), /Unknown initial condition/);
+});
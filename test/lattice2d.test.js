@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  caRawStep2d, initialState2d, powerSpectrum2d, patternOf2d, runSimulation2d, INIT_KINDS_2D,
+  computeEc2d, cosKstar, cos2d,
+} from "../src/engine/index.js";
+
+const A = 1, B = -Math.SQRT1_2;
+
+// ── 2D lattice ───────────────────────────────────────────────────────
+test("a plane wave is multiplied by λ = (A c + B)(1 + 2εc)", () => {
+  const W = 16, H = 12, eps = 0.2;
+  for (const [kxPi, kyPi] of [[0.25, 1], [0.5, 1/3], [1, 1], [0.125, 0]]) {
+    const psi = initialState2d(W, H, 0, "plane", {kxPi, kyPi, noise:0});
+    const c = cos2d(kxPi*Math.PI, kyPi*Math.PI), lam = (A*c + B)*(1 + 2*eps*c);
+    const out = caRawStep2d(psi, W, H, A, B, eps);
+    assert.ok(out.every((v, j) => Math.abs(v - lam*psi[j]) < 1e-12), `k/π=(${kxPi}, ${kyPi})`);
+  }
+});
+
+test("initial states are normalized; unknown kinds throw", () => {
+  for (const kind of INIT_KINDS_2D) {
+    const psi = initialState2d(10, 8, 3, kind);
+    assert.ok(Math.abs(psi.reduce((s, v) => s + v*v, 0) - 1) < 1e-12, kind);
+  }
+  assert.throws(() => initialState2d(4, 4, 0, "spiral"), /Unknown 2D initial condition/);
+});
+
+test("patternOf2d labels checkerboard, stripes and two-q spectra", () => {
+  const W = 16, H = 16;
+  const label = psi => patternOf2d(powerSpectrum2d(psi, W, H), W, H).label;
+  assert.equal(label(initialState2d(W, H, 0, "checker", {noise:0})), "checkerboard");
+  assert.equal(label(initialState2d(W, H, 0, "plane", {kxPi:0.5, kyPi:1, noise:0})), "axial stripes");
+  assert.equal(label(initialState2d(W, H, 0, "plane", {kxPi:0.5, kyPi:0.5, noise:0})), "diagonal stripes");
+  const a = initialState2d(W, H, 0, "plane", {kxPi:0.5, kyPi:1, noise:0});
+  const b = initialState2d(W, H, 0, "plane", {kxPi:1, kyPi:0.5, noise:0});
+  assert.equal(label(a.map((v, j) => v + b[j])), "square (two-q)");
+});
+
+test("runs select π,π below εc and the c* contour above it", () => {
+  const ec = computeEc2d(A, B), W = 32, H = 32;
+  const below = runSimulation2d({A, B, eps:0.8*ec, W, H, T:2000, seed:1, frames:4}).frames.at(-1);
+  assert.equal(below.label, "checkerboard");
+  const eps = 0.3, {frames} = runSimulation2d({A, B, eps, W, H, T:400, seed:1, frames:4});
+  assert.deepEqual([frames[0].t, frames.at(-1).t], [0, 400]);
+  const last = frames.at(-1);
+  // the grid's closest c to c* is within one grid step of the contour
+  assert.ok(Math.abs(cos2d(last.kx, last.ky) - cosKstar(A, B, eps)) < 2*Math.PI/W, `${last.label}`);
+  assert.notEqual(last.label, "checkerboard");
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  gapTheory, leadRatio, lyapunovPoint, lyapunovStats, runSimulation, computeEc, modeGrid, symbol,
+} from "../src/engine/index.js";
+
+const A = 1, B = -Math.SQRT1_2, ec = computeEc(A, B);
+
+// ── Lyapunov exponent and spectral gap ───────────────────────────────
+test("gapTheory picks the two largest g over the allowed modes", () => {
+  for (const bc of ["periodic", "open"]) for (const eps of [0.1, 0.28]) {
+    const {count, k0, dk} = modeGrid(60, bc);
+    const g = Array.from({length:count}, (_,j) => Math.log(Math.abs(symbol(k0 + j*dk, A, B, eps)))).sort((a, b) => b - a);
+    const th = gapTheory(A, B, eps, 60, bc);
+    assert.equal(th.gMax, g[0]);
+    assert.equal(th.gap, g[0] - g[1]);
+    assert.equal(th.tau, 1/th.gap);
+  }
+  assert.equal(gapTheory(A, B, 0.1, 64).kLead, Math.PI);
+});
+
+test("the gap closes as dk² in the AFM phase and dk⁴ at εc", () => {
+  const ratio = eps => gapTheory(A, B, eps, 64).gap/gapTheory(A, B, eps, 128).gap;
+  assert.ok(Math.abs(ratio(ec/2) - 4) < 0.1, `${ratio(ec/2)}`);
+  assert.ok(Math.abs(ratio(ec) - 16) < 0.2, `${ratio(ec)}`);
+});
+
+test("leadRatio and lyapunovPoint read the top two bins and the running mean", () => {
+  const r = leadRatio([1, 4, 16, 0]);
+  assert.deepEqual([r.lead, r.sub], [2, 1]);
+  assert.ok(Math.abs(r.ratio - Math.log(2)) < 1e-12);
+  assert.equal(leadRatio([1, 0]).ratio, null);
+  const p0 = lyapunovPoint(0, 0, 0, [1, 2]), p1 = lyapunovPoint(10, 10, -2, [1, 2], p0);
+  const p2 = lyapunovPoint(20, 20, -3, [1, 2], p1);
+  assert.deepEqual([p0.lyap, p1.lyap, p2.lyap, p2.rate], [0, -0.2, -0.15, -0.1]);
+});
+
+test("a run measures max g and the gap on both sides of εc", () => {
+  for (const eps of [0.1, 0.28]) for (const method of ["real", "spectral"]) {
+    const L = 64, {lyapunov} = runSimulation({A, B, eps, L, T:4000, seed:3, method, specEvery:50});
+    const s = lyapunovStats(lyapunov), th = gapTheory(A, B, eps, L);
+    assert.ok(Math.abs(s.lyap - th.gMax) < 1e-3, `${method} ε=${eps}: λ₁ ${s.lyap} vs ${th.gMax}`);
+    assert.ok(Math.abs(s.gap/th.gap - 1) < 1e-6, `${method} ε=${eps}: Δ ${s.gap} vs ${th.gap}`);
+    assert.equal(s.dir, 1);
+  }
+});
+
+test("lyapunovStats signs ratios against the final pair across a swap", () => {
+  // bins 3 and 5 swap at t=50: the slower mode started ahead
+  const series = Array.from({length:11}, (_,i) => {
+    const t = 10*i, x = 0.01*(t - 50);
+    return {t, lyap:0, rate:0, lead:x >= 0 ? 3 : 5, sub:x >= 0 ? 5 : 3, ratio:Math.abs(x)};
+  });
+  const s = lyapunovStats(series, 1);
+  assert.ok(Math.abs(s.gap - 0.01) < 1e-12 && s.dir === 1 && s.fitted === 11);
+  assert.equal(lyapunovStats([]), null);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifySpectrum, phaseAgrees, simulatePhaseMap, classifyPhase, solveMode } from "../src/engine/index.js";
+
+// ── Simulated phase map ──────────────────────────────────────────────
+test("classifySpectrum reads FM, AFM and IC peaks", () => {
+  const peak = m => Float64Array.from({length:33}, (_,k) => Math.exp(-((k - m)**2)));
+  assert.equal(classifySpectrum(peak(0), 64), "Ferromagnetic");
+  assert.equal(classifySpectrum(peak(32), 64), "Antiferromagnetic");
+  assert.equal(classifySpectrum(peak(31), 64), "Antiferromagnetic");
+  assert.equal(classifySpectrum(peak(31), 64, 0), "Incommensurate");
+  assert.equal(classifySpectrum(peak(20), 64), "Incommensurate");
+});
+
+test("phaseAgrees accepts either side at Critical and skips Trivial", () => {
+  assert.equal(phaseAgrees("Trivial", "Ferromagnetic"), null);
+  assert.ok(phaseAgrees("Critical", "Antiferromagnetic") && phaseAgrees("Critical", "Incommensurate"));
+  assert.ok(!phaseAgrees("Critical", "Ferromagnetic"));
+  assert.ok(phaseAgrees("Incommensurate", "Incommensurate") && !phaseAgrees("Antiferromagnetic", "Incommensurate"));
+});
+
+// Cell centres of a map, in its row-major, y-decreasing order
+const cells = ({plane, A, eps, x0, x1, y0, y1, n}) => Array.from({length:n*n}, (_,j) => {
+  const x = x0 + ((j%n + 0.5)/n)*(x1-x0), y = y1 - ((Math.floor(j/n) + 0.5)/n)*(y1-y0);
+  return plane === "AB" ? [x, y, eps] : [A, y, x];
+});
+
+// The closed forms only know the local maximum at π; where |λ(0)| wins
+// globally (small |B|, large ε) they disagree with the simulation, so
+// every cell is checked against the global-maximum solver instead.
+for (const opts of [
+  {plane:"epsB", A:1, x0:0.01, x1:0.5, y0:-1.5, y1:1.5, n:8},
+  {plane:"AB", eps:0.28, x0:0.6, x1:2, y0:-2, y1:-0.6, n:6},
+]) {
+  test(`the ${opts.plane} map matches the global maximum of |λ| cell by cell`, () => {
+    const m = simulatePhaseMap({...opts, L:128, T:20000});
+    assert.equal(m.measured.length, opts.n**2);
+    cells(opts).forEach(([a, b, e], j) => {
+      assert.equal(m.analytic[j], classifyPhase(a, b, e));
+      assert.notEqual(phaseAgrees(solveMode(a, b, e).phase, m.measured[j]), false, `A=${a} B=${b} ε=${e}`);
+    });
+    assert.ok(m.agreement > 0.8 && m.agreement <= 1);
+  });
+}
+
+test("row 0 of the map is the top edge y1", () => {
+  const m = simulatePhaseMap({plane:"epsB", A:1, x0:0.01, x1:0.5, y0:-1.5, y1:1.5, n:4, L:64, T:2000});
+  assert.deepEqual(m.measured.slice(0, 4), Array(4).fill("Ferromagnetic"));
+  assert.ok(m.measured.slice(12).every(p => p !== "Ferromagnetic"));
+});
@@ -0,0 +1,56 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  QUICK_PRESETS, BENCHMARK_PRESETS, loadPresets, storePresets, upsertPreset, presetFile, parsePresetFile,
+} from "../src/presets.js";
+import { normalizeState, PARAM_RANGE } from "../src/urlState.js";
+
+const TABS = ["sim"];
+const inRange = (k, v) => v >= PARAM_RANGE[k][0] && v <= PARAM_RANGE[k][1];
+
+afterEach(() => { delete globalThis.localStorage; });
+
+// ── Presets ──────────────────────────────────────────────────────────
+test("upsertPreset replaces by name and keeps names sorted", () => {
+  let list = upsertPreset([], {name:"b", config:{A:1}});
+  list = upsertPreset(list, {name:"a", config:{A:2}});
+  list = upsertPreset(list, {name:"b", config:{A:3}});
+  assert.deepEqual(list, [{name:"a", config:{A:2}}, {name:"b", config:{A:3}}]);
+});
+
+test("a preset file round-trips and bare arrays are accepted", () => {
+  const list = [{name:"run", config:{A:1.2, B:-0.3, eps:0.2}, saved:"2026-01-01"}];
+  assert.equal(JSON.parse(presetFile(list)).format, "frustrated-cml-presets");
+  assert.deepEqual(parsePresetFile(presetFile(list)), list);
+  assert.deepEqual(parsePresetFile(JSON.stringify([{name:"  x ", config:{}}])), [{name:"x", config:{}}]);
+});
+
+test("parsePresetFile drops malformed entries and explains bad files", () => {
+  const text = JSON.stringify({presets:[{name:"ok", config:{A:1}}, {name:" ", config:{}}, {name:"no config"}, null]});
+  assert.deepEqual(parsePresetFile(text).map(p => p.name), ["ok"]);
+  assert.throws(() => parsePresetFile("{"), /Not a JSON file/);
+  assert.throws(() => parsePresetFile("{}"), /Expected/);
+  assert.throws(() => parsePresetFile("[]"), /No presets in file/);
+});
+
+test("saved presets go through localStorage and survive it being absent or corrupt", () => {
+  assert.deepEqual(loadPresets(), []);
+  assert.equal(storePresets([]), false);
+  const store = new Map();
+  globalThis.localStorage = {getItem:k => store.get(k) ?? null, setItem:(k, v) => store.set(k, v)};
+  const list = [{name:"a", config:{A:1}}];
+  assert.ok(storePresets(list));
+  assert.deepEqual(loadPresets(), list);
+  store.set([...store.keys()][0], "not json");
+  assert.deepEqual(loadPresets(), []);
+});
+
+test("built-in presets are valid states; only Pauli-Z / I leaves the A range", () => {
+  for (const {name, config} of [...QUICK_PRESETS, ...BENCHMARK_PRESETS]) {
+    const s = normalizeState(config, TABS);
+    const inside = Object.keys(config).every(k => inRange(k, config[k]));
+    assert.equal(inside, name !== "Pauli-Z / I", name);
+    // values pass through the 8-digit URL format
+    if (inside) for (const k of Object.keys(config)) assert.ok(Math.abs(s[k] - config[k]) < 1e-7, `${name} ${k}`);
+  }
+});
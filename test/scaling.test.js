@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { correlationLength, fitNu, scalingSweep, computeEc } from "../src/engine/index.js";
+
+const A = 1, B = -Math.SQRT1_2;
+
+// ── Correlation length and the ν fit ─────────────────────────────────
+test("fitNu recovers an exact power law", () => {
+  const pts = [1e-3, 1e-2, 1e-1].map(de => ({de, xi:2.5*de**-0.5}));
+  const f = fitNu(pts);
+  assert.ok(Math.abs(f.nu - 0.5) < 1e-12 && Math.abs(f.xi0 - 2.5) < 1e-12 && f.err < 1e-12);
+});
+
+test("ξ is measured from the evolved state, so it depends on T", () => {
+  const eps = computeEc(A, B)*1.05;
+  const short = correlationLength({A, B, eps, L:1024, T:1});
+  const long = correlationLength({A, B, eps, L:1024, T:5000});
+  assert.ok(Math.abs(short.xi - long.xi) > 0.5, `${short.xi} vs ${long.xi}`);
+  assert.ok(Math.abs(short.xi*short.width - 1) < 1e-12);
+});
+
+test("below εc ξ grows with T", () => {
+  const eps = computeEc(A, B)*0.95;
+  const xi = [100, 1000, 10000].map(T => correlationLength({A, B, eps, L:1024, T}).xi);
+  assert.ok(xi[0] < xi[1] && xi[1] < xi[2], xi.join(" "));
+});
+
+test("above εc the sweep gives ν ≈ ½ at large T, not at T=1", () => {
+  const r = scalingSweep({A, B, L:4096, T:100000});
+  assert.equal(r.points.length, 16);
+  assert.ok(Math.abs(r.above.nu - 0.5) < Math.max(3*r.above.err, 0.03), `${r.above.nu} ± ${r.above.err}`);
+  assert.ok(r.below.nu < 0);
+  assert.ok(Math.abs(scalingSweep({A, B, L:4096, T:1}).above.nu) < 0.05);
+});
+
+test("scalingSweep refuses first-order and missing transitions", () => {
+  assert.throws(() => scalingSweep({A, B, kernel:{hop:[1], couple:[1, 0, -0.1]}}), /first-order/);
+  assert.throws(() => scalingSweep({A:1, B:0.5}), /no AFM→IC transition/);
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  closedFormCheck, solveCritical, solveMode, computeEc, kStarOf, symbol, runSimulation, summarize,
+} from "../src/engine/index.js";
+
+// Brute-force argmax of |λ(k)| on a fine grid
+const gridMax = (A, B, eps, kernel, n=200000) => {
+  let best = 0, top = -1;
+  for (let i = 0; i <= n; i++) {
+    const k = Math.PI*i/n, v = Math.abs(symbol(k, A, B, eps, kernel));
+    if (v > top) { top = v; best = k; }
+  }
+  return best;
+};
+
+// ── Numerical εc and k* next to the closed forms ─────────────────────
+test("Hadamard: solver and Thm 5.2 / 6.1 agree", () => {
+  const A = 1, B = -Math.SQRT1_2, ec = computeEc(A, B);
+  for (const eps of [0.1, 0.28, 0.5]) {
+    const c = closedFormCheck(A, B, eps);
+    assert.ok(c.agree && c.ec.status === "agree", `ε=${eps}`);
+    assert.equal(c.k.status, "agree");
+    assert.equal(c.phase, eps < ec ? "Antiferromagnetic" : "Incommensurate");
+  }
+  assert.ok(Math.abs(closedFormCheck(A, B, 0.28).k.numeric - kStarOf(A, B, 0.28)) < 1e-6);
+});
+
+test("A=1.5, B=−0.5 jumps from π to 0 at ε=1/6, before the closed-form εc", () => {
+  const crit = solveCritical(1.5, -0.5);
+  assert.ok(crit.jump && Math.abs(crit.ec - 1/6) < 1e-9 && crit.to < 1e-6);
+  assert.ok(Math.abs(crit.local - 3/14) < 1e-12);
+  const c = closedFormCheck(1.5, -0.5, 0.2);
+  assert.equal(c.ec.status, "disagree");
+  assert.equal(c.k.status, "disagree");
+  assert.equal(c.phase, "Ferromagnetic");
+  assert.ok(!c.agree);
+});
+
+test("without a closed form the solver still picks the mode", () => {
+  for (const [A, B] of [[Math.SQRT2, 0], [0, 1]]) {
+    const c = closedFormCheck(A, B, 0.2);
+    assert.equal(c.ec.status, "none");
+    assert.equal(c.k.status, "fallback");
+    assert.equal(c.phase, "Ferromagnetic");
+  }
+  assert.equal(solveMode(0, 0, 0.2).phase, "Trivial");
+});
+
+test("solveMode finds the global maximum of |λ|, kernels included", () => {
+  const cases = [
+    [1, -Math.SQRT1_2, 0.3, null], [0.8, -0.4, 0.45, null], [1.2, -1.5, 0.35, null],
+    [1, -0.7, 0.25, {hop:[1, 0.3], couple:[1, -0.2]}], [1, -0.7, 0.3, {hop:[1], couple:[1, 0, -0.15]}],
+  ];
+  for (const [A, B, eps, kernel] of cases) {
+    const k = solveMode(A, B, eps, kernel).k;
+    assert.ok(Math.abs(k - gridMax(A, B, eps, kernel)) < 1e-3, `A=${A} B=${B} ε=${eps}`);
+  }
+});
+
+test("summarize reports the solver next to the closed forms", () => {
+  const params = {A:1.5, B:-0.5, eps:0.2, L:64, T:500, seed:1, method:"spectral"};
+  const s = summarize(params, runSimulation(params));
+  assert.ok(Math.abs(s.ecNumerical - 1/6) < 1e-9);
+  assert.equal(s.phaseNumerical, "Ferromagnetic");
+  assert.equal(s.closedFormAgrees, false);
+  assert.equal(s.kDominantPi, 0);
+});
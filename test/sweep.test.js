@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  orderParams, fitPitchfork, sweepEps, computeEc, kStarOf, initialState,
+} from "../src/engine/index.js";
+
+// ── Order parameters ─────────────────────────────────────────────────
+test("orderParams reads a Néel state and a plane wave", () => {
+  const neel = orderParams(initialState(64, 0, {kind:"afm", noise:0}));
+  assert.ok(Math.abs(neel.ms - 1) < 1e-12 && neel.dk === 0);
+  const plane = orderParams(initialState(64, 0, {kind:"plane", kPi:0.75}));
+  assert.ok(plane.ms < 1e-12 && Math.abs(plane.dk - 0.25) < 1e-3);
+});
+
+// ── Pitchfork fit and the ε sweep ────────────────────────────────────
+test("fitPitchfork recovers εc and the Thm 6.1 slope from exact k*", () => {
+  for (const [A, B] of [[1, -Math.SQRT1_2], [0.8, -0.4]]) {
+    const ec = computeEc(A, B);
+    const pts = Array.from({length:12}, (_,i) => ec*(1.05 + 0.05*i))
+      .map(eps => ({eps, dk:1 - kStarOf(A, B, eps)/Math.PI}));
+    const f = fitPitchfork(pts, A, B, [0, 1]);
+    assert.ok(Math.abs(f.ec - ec) < 1e-9, `A=${A} B=${B}`);
+    assert.ok(Math.abs(f.slope - (2*A - B)/(2*A)) < 1e-9);
+    assert.equal(f.used.length, 12);
+  }
+});
+
+test("fitPitchfork only uses the window and gives up without a pitchfork", () => {
+  const pts = [0.1, 0.2, 0.3].map(eps => ({eps, dk:0}));
+  assert.equal(fitPitchfork(pts, 1, -0.7, [0, 1]), null);
+  assert.equal(fitPitchfork(pts, 1, -0.7, [0.25, 0.35]), null);
+});
+
+test("sweepEps locates the Hadamard εc", () => {
+  const A = 1, B = -Math.SQRT1_2, ec = computeEc(A, B);
+  const r = sweepEps({A, B, L:512, T:200000, seed:42, epsMin:0.1, epsMax:0.3});
+  assert.ok(r.bracket && r.bracket[0] < r.bracket[1]);
+  assert.ok(r.window[0] > r.bracket[0]);
+  assert.ok(Math.abs(r.ecTheory - ec) < 1e-12);
+  assert.ok(Math.abs(r.fit.ec - ec) < Math.max(4*r.fit.err, 1e-3), `${r.fit.ec} ± ${r.fit.err} vs ${ec}`);
+});
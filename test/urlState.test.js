@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { URL_DEFAULTS, PARAM_RANGE, readUrlState, writeUrlState, normalizeState } from "../src/urlState.js";
+
+const TABS = ["sim", "growth", "bif", "scale"];
+
+// ── Shareable URL state ──────────────────────────────────────────────
+test("the default state is the bare URL", () => {
+  assert.equal(writeUrlState(URL_DEFAULTS), "");
+  assert.deepEqual(readUrlState("", TABS), URL_DEFAULTS);
+});
+
+test("a full configuration round-trips through the query string", () => {
+  const state = {
+    ...URL_DEFAULTS, A:1.5, B:-0.5, eps:0.15, L:256, T:2000, seed:7, tab:"bif", method:"spectral",
+    bc:"open", plane:"epsB", specEvery:25,
+    init:{...URL_DEFAULTS.init, kind:"packet", kPi:0.3, sigma:4, center:40},
+    ext:{cubic:0.1, noise:0.05, disorder:0},
+    kernel:{hop:[1, 0.25], couple:[1, 0, -0.1]},
+  };
+  const search = writeUrlState(state);
+  assert.match(search, /^\?A=1\.5&B=-0\.5&eps=0\.15&/);
+  assert.ok(!search.includes("disorder"));
+  assert.deepEqual(readUrlState(search, TABS), state);
+});
+
+test("invalid or out-of-range entries fall back to the default", () => {
+  const s = readUrlState("?A=50&B=-9&eps=9&L=3&T=abc&seed=-1&bc=mobius&tab=nope&method=&hop=1,2,3,4,5&couple=1,x", TABS);
+  assert.deepEqual(s, URL_DEFAULTS);
+  assert.deepEqual(readUrlState("?A=0&eps=0", TABS), URL_DEFAULTS);
+  const edge = readUrlState(`?A=${PARAM_RANGE.A[1]}&B=${PARAM_RANGE.B[0]}&eps=${PARAM_RANGE.eps[0]}`, TABS);
+  assert.deepEqual([edge.A, edge.B, edge.eps], [PARAM_RANGE.A[1], PARAM_RANGE.B[0], PARAM_RANGE.eps[0]]);
+});
+
+test("normalizeState fills a partial object with defaults and validates it", () => {
+  const s = normalizeState({A:0.8, B:-0.4, init:{kind:"plane"}, kernel:{couple:[1, 0.2]}, L:"many"}, TABS);
+  assert.deepEqual([s.A, s.B, s.eps, s.L], [0.8, -0.4, URL_DEFAULTS.eps, URL_DEFAULTS.L]);
+  assert.equal(s.init.kind, "plane");
+  assert.equal(s.init.kPi, URL_DEFAULTS.init.kPi);
+  assert.deepEqual(s.kernel, {hop:[1], couple:[1, 0.2]});
+});